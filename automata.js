@@ -0,0 +1,534 @@
+/// Automata for regex token rules: the regex is parsed, turned into an NFA by Thompson's
+/// construction, and then into a minimal DFA by subset construction, so the app can draw it and
+/// show where each character of a candidate takes it. It loads the same way lexer.js does.
+///
+/// Characters are UTF-16 code units, as in a regex without the `u` flag, which is how token rules
+/// are compiled (see `compileMatcher`). Sets of them are sorted lists of disjoint, non-adjacent
+/// `[lo, hi]` ranges of char codes.
+
+'use strict';
+
+const maxCharCode = 0xffff;
+// Bigger automata are unreadable when drawn anyway.
+const maxRepeat = 50;
+const maxDfaStates = 200;
+
+///////////////
+// Char sets //
+///////////////
+
+function normalizeRanges(ranges) {
+    const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (let [lo, hi] of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && lo <= last[1] + 1) {
+            last[1] = Math.max(last[1], hi);
+        } else {
+            merged.push([lo, hi]);
+        }
+    }
+    return merged;
+}
+
+function negateRanges(ranges) {
+    const negated = [];
+    let next = 0;
+    for (let [lo, hi] of ranges) {
+        if (lo > next) {
+            negated.push([next, lo - 1]);
+        }
+        next = hi + 1;
+    }
+    if (next <= maxCharCode) {
+        negated.push([next, maxCharCode]);
+    }
+    return negated;
+}
+
+function rangesContain(ranges, code) {
+    return ranges.some(([lo, hi]) => lo <= code && code <= hi);
+}
+
+const charClassRanges = {
+    d: [[48, 57]],
+    w: [[48, 57], [65, 90], [95, 95], [97, 122]],
+    s: normalizeRanges([
+        [9, 13], [32, 32], [0xa0, 0xa0], [0x1680, 0x1680], [0x2000, 0x200a], [0x2028, 0x2029],
+        [0x202f, 0x202f], [0x205f, 0x205f], [0x3000, 0x3000], [0xfeff, 0xfeff],
+    ]),
+};
+// `.` is anything but a line terminator.
+const dotRanges = negateRanges([[10, 10], [13, 13], [0x2028, 0x2029]]);
+
+/// A short, readable label for a set of chars, like `a-z0-9_` or `[^"]`.
+function formatRanges(ranges) {
+    const show = (code) => {
+        const special = { 9: '\\t', 10: '\\n', 13: '\\r', 32: '␣' };
+        if (special[code]) {
+            return special[code];
+        }
+        return code < 32 || code > 126 ? `\\u${code.toString(16).padStart(4, '0')}` : String.fromCharCode(code);
+    };
+    const list = (set) => set.map(([lo, hi]) => lo === hi ? show(lo) : `${show(lo)}-${show(hi)}`).join('');
+
+    const size = ranges.reduce((total, [lo, hi]) => total + hi - lo + 1, 0);
+    if (size === maxCharCode + 1) {
+        return 'any';
+    } else if (size > (maxCharCode + 1) / 2) {
+        return `[^${list(negateRanges(ranges))}]`;
+    }
+    return list(ranges);
+}
+
+//////////////////
+// Regex syntax //
+//////////////////
+
+/// Parses regex source into a tree of:
+///
+///     { type: 'empty' }
+///     { type: 'chars', ranges }
+///     { type: 'concat', parts }
+///     { type: 'alt', options }
+///     { type: 'repeat', node, min, max }  - `max` is Infinity when unbounded
+///
+/// Groups just group, and lazy quantifiers are the same as greedy ones, since token rules only
+/// ever match whole candidates. Throws on what a finite automaton can't do, like backreferences
+/// and lookarounds.
+function parseRegex(source) {
+    let i = 0;
+    const fail = (message) => {
+        throw new Error(`${message} at position ${i}`);
+    };
+
+    function parseAlt() {
+        const options = [parseConcat()];
+        while (source[i] === '|') {
+            i += 1;
+            options.push(parseConcat());
+        }
+        return options.length === 1 ? options[0] : { type: 'alt', options };
+    }
+
+    function parseConcat() {
+        const parts = [];
+        while (i < source.length && source[i] !== '|' && source[i] !== ')') {
+            parts.push(parseRepeat());
+        }
+        if (parts.length === 0) {
+            return { type: 'empty' };
+        }
+        return parts.length === 1 ? parts[0] : { type: 'concat', parts };
+    }
+
+    function parseRepeat() {
+        let node = parseAtom();
+        for (;;) {
+            let min, max;
+            const brace = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i));
+            if (source[i] === '*') {
+                [min, max] = [0, Infinity];
+                i += 1;
+            } else if (source[i] === '+') {
+                [min, max] = [1, Infinity];
+                i += 1;
+            } else if (source[i] === '?') {
+                [min, max] = [0, 1];
+                i += 1;
+            } else if (brace) {
+                min = Number(brace[1]);
+                max = brace[2] === undefined ? min : brace[3] === '' ? Infinity : Number(brace[3]);
+                i += brace[0].length;
+            } else {
+                return node;
+            }
+            if (source[i] === '?') {
+                i += 1;
+            }
+            if (min > maxRepeat || (max !== Infinity && max > maxRepeat)) {
+                fail(`repeats of more than ${maxRepeat} are too big to draw`);
+            }
+            node = { type: 'repeat', node, min, max };
+        }
+    }
+
+    function parseAtom() {
+        const char = source[i];
+        if (char === '(') {
+            i += 1;
+            if (source.startsWith('?:', i)) {
+                i += 2;
+            } else if (/^\?<[A-Za-z_$][\w$]*>/.test(source.slice(i))) {
+                i = source.indexOf('>', i) + 1;
+            } else if (source[i] === '?') {
+                fail('lookarounds have no automaton');
+            }
+            const node = parseAlt();
+            if (source[i] !== ')') {
+                fail(`expected ')'`);
+            }
+            i += 1;
+            return node;
+        } else if (char === '[') {
+            return { type: 'chars', ranges: parseClass() };
+        } else if (char === '.') {
+            i += 1;
+            return { type: 'chars', ranges: dotRanges };
+        } else if (char === '\\') {
+            const ranges = parseEscape(false);
+            return { type: 'chars', ranges };
+        } else if (char === '^' || char === '$') {
+            // Candidates are always matched whole, so anchors at either end change nothing.
+            if ((char === '^' && i !== 0) || (char === '$' && i !== source.length - 1)) {
+                fail(`'${char}' in the middle has no automaton`);
+            }
+            i += 1;
+            return { type: 'empty' };
+        } else if ('*+?{'.includes(char) && !(char === '{' && !/^\{\d+(,\d*)?\}/.test(source.slice(i)))) {
+            fail(`nothing to repeat`);
+        }
+        i += 1;
+        return { type: 'chars', ranges: [[char.charCodeAt(0), char.charCodeAt(0)]] };
+    }
+
+    function parseClass() {
+        i += 1;
+        let negated = false;
+        if (source[i] === '^') {
+            negated = true;
+            i += 1;
+        }
+        const ranges = [];
+        while (i < source.length && source[i] !== ']') {
+            const lo = source[i] === '\\' ? parseEscape(true) : [[source.charCodeAt(i++), source.charCodeAt(i - 1)]];
+            if (source[i] === '-' && source[i + 1] !== ']' && i + 1 < source.length) {
+                i += 1;
+                const hi = source[i] === '\\' ? parseEscape(true) : [[source.charCodeAt(i++), source.charCodeAt(i - 1)]];
+                if (lo.length !== 1 || hi.length !== 1 || lo[0][0] !== lo[0][1] || hi[0][0] !== hi[0][1]) {
+                    fail('a range needs single characters at both ends');
+                }
+                if (lo[0][0] > hi[0][0]) {
+                    fail('range out of order');
+                }
+                ranges.push([lo[0][0], hi[0][0]]);
+            } else {
+                ranges.push(...lo);
+            }
+        }
+        if (source[i] !== ']') {
+            fail(`expected ']'`);
+        }
+        i += 1;
+        const normalized = normalizeRanges(ranges);
+        return negated ? negateRanges(normalized) : normalized;
+    }
+
+    // The char ranges of the escape at `i`, such as `\d` or `\n`.
+    function parseEscape(inClass) {
+        i += 1;
+        const char = source[i];
+        i += 1;
+        const single = (code) => [[code, code]];
+        const controls = { n: 10, t: 9, r: 13, f: 12, v: 11, 0: 0 };
+
+        if (charClassRanges[char]) {
+            return charClassRanges[char];
+        } else if (charClassRanges[char.toLowerCase()]) {
+            return negateRanges(charClassRanges[char.toLowerCase()]);
+        } else if (char in controls && !(char === '0' && /\d/.test(source[i] || ''))) {
+            return single(controls[char]);
+        } else if (char === 'b' && inClass) {
+            return single(8);
+        } else if (char === 'x' && /^[0-9a-fA-F]{2}/.test(source.slice(i))) {
+            i += 2;
+            return single(parseInt(source.slice(i - 2, i), 16));
+        } else if (char === 'u' && /^[0-9a-fA-F]{4}/.test(source.slice(i))) {
+            i += 4;
+            return single(parseInt(source.slice(i - 4, i), 16));
+        } else if (char === 'c' && /^[A-Za-z]/.test(source[i] || '')) {
+            i += 1;
+            return single(source.charCodeAt(i - 1) % 32);
+        } else if (/[1-9]|k/.test(char) || (!inClass && /[bB]/.test(char))) {
+            i -= 2;
+            fail(`'\\${char}' has no automaton`);
+        } else if (char === undefined) {
+            fail('the regex ends in a backslash');
+        }
+        return single(char.charCodeAt(0));
+    }
+
+    const tree = parseAlt();
+    if (i < source.length) {
+        fail(`unmatched ')'`);
+    }
+    return tree;
+}
+
+/////////
+// NFA //
+/////////
+
+/// Thompson's construction. Returns `{ states, start, accept }`, where each state is
+/// `{ epsilon: [ids], edges: [{ ranges, to }] }`.
+function buildNfa(tree) {
+    const states = [];
+    const newState = () => {
+        states.push({ epsilon: [], edges: [] });
+        return states.length - 1;
+    };
+
+    // Each fragment is `{ start, end }`, with nothing leaving `end` yet.
+    function build(node) {
+        switch (node.type) {
+            case 'empty': {
+                const start = newState();
+                return { start, end: start };
+            }
+            case 'chars': {
+                const start = newState();
+                const end = newState();
+                states[start].edges.push({ ranges: node.ranges, to: end });
+                return { start, end };
+            }
+            case 'concat': {
+                const fragments = node.parts.map(build);
+                for (let j = 1; j < fragments.length; j++) {
+                    states[fragments[j - 1].end].epsilon.push(fragments[j].start);
+                }
+                return { start: fragments[0].start, end: fragments[fragments.length - 1].end };
+            }
+            case 'alt': {
+                const start = newState();
+                const end = newState();
+                for (let option of node.options) {
+                    const fragment = build(option);
+                    states[start].epsilon.push(fragment.start);
+                    states[fragment.end].epsilon.push(end);
+                }
+                return { start, end };
+            }
+            case 'repeat': {
+                const { min, max } = node;
+                const parts = [];
+                for (let j = 0; j < min; j++) {
+                    parts.push(node.node);
+                }
+                if (max === Infinity) {
+                    parts.push({ type: 'star', node: node.node });
+                } else {
+                    for (let j = min; j < max; j++) {
+                        parts.push({ type: 'alt', options: [node.node, { type: 'empty' }] });
+                    }
+                }
+                return build(parts.length === 0 ? { type: 'empty' } : { type: 'concat', parts });
+            }
+            case 'star': {
+                const start = newState();
+                const end = newState();
+                const fragment = build(node.node);
+                states[start].epsilon.push(fragment.start, end);
+                states[fragment.end].epsilon.push(fragment.start, end);
+                return { start, end };
+            }
+        }
+    }
+
+    const { start, end } = build(tree);
+    return { states, start, accept: end };
+}
+
+/////////
+// DFA //
+/////////
+
+/// Subset construction followed by minimization. Returns `{ states, start }`, where each state is
+/// `{ id, accepting, edges: [{ ranges, to }] }` and `start` is always 0. No state has more than one
+/// edge to the same target, and characters without an edge are rejected.
+function buildDfa(nfa) {
+    const closure = (ids) => {
+        const seen = new Set(ids);
+        const stack = [...ids];
+        while (stack.length > 0) {
+            for (let next of nfa.states[stack.pop()].epsilon) {
+                if (!seen.has(next)) {
+                    seen.add(next);
+                    stack.push(next);
+                }
+            }
+        }
+        return [...seen].sort((a, b) => a - b);
+    };
+
+    const subsets = [];
+    const idOf = new Map();
+    const addSubset = (subset) => {
+        const key = subset.join(',');
+        if (!idOf.has(key)) {
+            if (subsets.length >= maxDfaStates) {
+                throw new Error(`the DFA has more than ${maxDfaStates} states, too many to draw`);
+            }
+            idOf.set(key, subsets.length);
+            subsets.push(subset);
+        }
+        return idOf.get(key);
+    };
+
+    addSubset(closure([nfa.start]));
+    const states = [];
+    for (let id = 0; id < subsets.length; id++) {
+        const edges = subsets[id].flatMap(nfaId => nfa.states[nfaId].edges);
+        const targets = new Map();
+        // Split the alphabet wherever some edge starts or stops, so each piece goes to one place.
+        for (let [lo, hi] of alphabetPieces(edges.map(edge => edge.ranges))) {
+            const moved = edges.filter(edge => rangesContain(edge.ranges, lo)).map(edge => edge.to);
+            if (moved.length === 0) {
+                continue;
+            }
+            const to = addSubset(closure(moved));
+            targets.set(to, [...(targets.get(to) || []), [lo, hi]]);
+        }
+        states.push({
+            id,
+            accepting: subsets[id].includes(nfa.accept),
+            edges: [...targets].map(([to, ranges]) => ({ ranges: normalizeRanges(ranges), to })),
+        });
+    }
+    return minimizeDfa({ states, start: 0 });
+}
+
+// The pieces the alphabet splits into at the boundaries of every range in `rangeSets`, leaving
+// out those no range covers.
+function alphabetPieces(rangeSets) {
+    const cuts = new Set();
+    for (let ranges of rangeSets) {
+        for (let [lo, hi] of ranges) {
+            cuts.add(lo);
+            cuts.add(hi + 1);
+        }
+    }
+    const sorted = [...cuts].sort((a, b) => a - b);
+    const pieces = [];
+    for (let j = 0; j + 1 < sorted.length; j++) {
+        const piece = [sorted[j], sorted[j + 1] - 1];
+        if (rangeSets.some(ranges => rangesContain(ranges, piece[0]))) {
+            pieces.push(piece);
+        }
+    }
+    return pieces;
+}
+
+/// Moore's algorithm: states start split into accepting and not, and are split again until
+/// every state in a block goes to the same blocks on the same characters. Dead states (that can
+/// never accept) are dropped, and the rest are numbered breadth-first from the start.
+function minimizeDfa(dfa) {
+    const live = liveStates(dfa);
+    const pieces = alphabetPieces(dfa.states.flatMap(state => state.edges.map(edge => edge.ranges)));
+    const targetOf = (state, code) => {
+        const edge = state.edges.find(edge => live.has(edge.to) && rangesContain(edge.ranges, code));
+        return edge ? edge.to : -1;
+    };
+
+    let blockOf = new Map(dfa.states.map(state => [state.id, state.accepting ? 1 : 0]));
+    let blockCount = 0;
+    for (;;) {
+        const signatures = new Map();
+        const next = new Map();
+        for (let state of dfa.states) {
+            const signature = [blockOf.get(state.id), ...pieces.map(([lo]) => {
+                const to = targetOf(state, lo);
+                return to === -1 ? -1 : blockOf.get(to);
+            })].join(',');
+            if (!signatures.has(signature)) {
+                signatures.set(signature, signatures.size);
+            }
+            next.set(state.id, signatures.get(signature));
+        }
+        blockOf = next;
+        if (signatures.size === blockCount) {
+            break;
+        }
+        blockCount = signatures.size;
+    }
+
+    // Number the blocks breadth-first from the start block.
+    const order = [blockOf.get(dfa.start)];
+    const newIds = new Map([[order[0], 0]]);
+    const states = [];
+    for (let j = 0; j < order.length; j++) {
+        const block = order[j];
+        const member = dfa.states.find(state => blockOf.get(state.id) === block);
+        const targets = new Map();
+        for (let edge of member.edges) {
+            if (!live.has(edge.to)) {
+                continue;
+            }
+            const toBlock = blockOf.get(edge.to);
+            if (!newIds.has(toBlock)) {
+                newIds.set(toBlock, order.length);
+                order.push(toBlock);
+            }
+            const to = newIds.get(toBlock);
+            targets.set(to, [...(targets.get(to) || []), ...edge.ranges]);
+        }
+        states.push({
+            id: j,
+            accepting: member.accepting,
+            edges: [...targets].map(([to, ranges]) => ({ ranges: normalizeRanges(ranges), to })),
+        });
+    }
+    return { states, start: 0 };
+}
+
+// The ids of states from which some accepting state can be reached.
+function liveStates(dfa) {
+    const live = new Set(dfa.states.filter(state => state.accepting).map(state => state.id));
+    let grew = true;
+    while (grew) {
+        grew = false;
+        for (let state of dfa.states) {
+            if (!live.has(state.id) && state.edges.some(edge => live.has(edge.to))) {
+                live.add(state.id);
+                grew = true;
+            }
+        }
+    }
+    // The start state is kept even if nothing matches at all, so there's something to draw.
+    live.add(dfa.start);
+    return live;
+}
+
+/// The minimal DFA for regex source, as from `buildDfa`. Throws if it can't be built.
+function regexToDfa(source) {
+    return buildDfa(buildNfa(parseRegex(source)));
+}
+
+/// Feeds `text` to the DFA one character at a time. Returns `{ path, rejectedAt }`: `path[i]` is
+/// the state after `i` characters, and `rejectedAt` is the index of the first character with no
+/// transition, or null if the whole text was consumed. The text is accepted when `rejectedAt` is
+/// null and the last state in `path` is accepting.
+function runDfa(dfa, text) {
+    const path = [dfa.start];
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        const edge = dfa.states[path[i]].edges.find(edge => rangesContain(edge.ranges, code));
+        if (!edge) {
+            return { path, rejectedAt: i };
+        }
+        path.push(edge.to);
+    }
+    return { path, rejectedAt: null };
+}
+
+// See the note at the bottom of lexer.js.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseRegex,
+        buildNfa,
+        buildDfa,
+        minimizeDfa,
+        regexToDfa,
+        runDfa,
+        formatRanges,
+    };
+}
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/// Lexes a source file with a set of token rules and prints the token stream as JSON:
+///
+///     node cli.js <rules.json> <source-file> [--recovery <strategy>]
+///
+/// `rules.json` is either a workspace exported from the app or just a list of token rules. Any other
+/// file is read as a flex (.l) or moo spec, as the app's Import Rules does (see specs.js). Each
+/// token is printed as `{ rule, text, start, end, line, column }`. Lexing errors go to stderr and
+/// make the exit code 1, so grammars can be checked in CI. Without `--recovery` the lexer stops at
+/// the first character no rule matches; with it, errors are recovered from as in the app (see
+/// `recoveryStrategies`) and all of them are reported.
+const fs = require('fs');
+const path = require('path');
+const { deserializeTokenRules, recoveryStrategies, lex, lineColumnAt, charAt } = require('./lexer.js');
+const { importTokenSpec } = require('./specs.js');
+
+const usage = `usage: node cli.js <rules.json> <source-file> [--recovery <${recoveryStrategies.join('|')}>]`;
+
+function parseArgs(args) {
+    const positional = [];
+    let recovery;
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--recovery') {
+            recovery = args[++i];
+            if (!recoveryStrategies.includes(recovery)) {
+                throw new Error(`unknown recovery strategy '${recovery}'`);
+            }
+        } else if (args[i] === '--help' || args[i] === '-h') {
+            console.log(usage);
+            process.exit(0);
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    if (positional.length !== 2) {
+        throw new Error('expected a rules file and a source file');
+    }
+    const [rulesPath, sourcePath] = positional;
+    return { rulesPath, sourcePath, recovery };
+}
+
+function readRules(rulesPath) {
+    const text = fs.readFileSync(rulesPath, 'utf8');
+    let tokenRules;
+    if (path.extname(rulesPath) === '.json') {
+        const json = JSON.parse(text);
+        tokenRules = Array.isArray(json) ? json : json.tokenRules;
+    } else {
+        const imported = importTokenSpec(text);
+        for (let warning of imported.warnings) {
+            console.error(`${rulesPath}: ${warning}`);
+        }
+        tokenRules = imported.tokenRules;
+    }
+    const rules = deserializeTokenRules(tokenRules);
+
+    const broken = rules.find(rule => rule.matcherError);
+    if (broken) {
+        throw new Error(`rule '${broken.name}' doesn't compile: ${broken.matcherError}`);
+    }
+    return rules;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(`${e.message}\n${usage}`);
+        process.exit(2);
+    }
+
+    let rules, source;
+    try {
+        rules = readRules(options.rulesPath);
+        source = fs.readFileSync(options.sourcePath, 'utf8');
+    } catch (e) {
+        console.error(e.message);
+        process.exit(2);
+    }
+
+    const { tokens, errors, stuckAt } = lex(source, rules, { recovery: options.recovery });
+    const withPosition = (token) => ({ ...token, ...lineColumnAt(source, token.start) });
+    console.log(JSON.stringify(tokens.map(withPosition), null, 2));
+
+    for (let error of errors) {
+        const { line, column } = lineColumnAt(source, error.start);
+        console.error(`${options.sourcePath}:${line}:${column}: ${error.reason}`);
+    }
+    if (stuckAt !== null) {
+        const { line, column } = lineColumnAt(source, stuckAt);
+        console.error(`${options.sourcePath}:${line}:${column}: no rule matches ${JSON.stringify(charAt(source, stuckAt))}`);
+    }
+    if (errors.length > 0 || stuckAt !== null) {
+        process.exit(1);
+    }
+}
+
+main();
@@ -1,3 +1,5 @@
+'use strict';
+
 const appEl = document.getElementById('app');
 
 /// Ensures that data access has been properly subscribed to. Helps prevent bugs where we try to use
@@ -21,28 +23,99 @@ const getDataHandler = (fields) => ({
 });
 
 /// When setting data in state, note that you must not do this inside of an update, as mutation can
-/// lead to inconsistent states. But actually, I'm going to deep clone data, so this should not be
-/// an issue, at cost of performance.
+/// lead to inconsistent states. Updates read from a snapshot taken at the start of the pass, so
+/// setData in an update only shows up in the next one, and in dev mode the data is frozen, so
+/// mutating it throws. See `reactifyYourApp`.
 const state = {
     data: {
+        // One of the ids in `pages`. Also kept in the URL hash; see `HashRouter`.
+        currentPage: 'lexing',
         lexingStarted: false,
+        // The lexer's progress. `currentCharIndex` is the next character to consume and
+        // `tokenStart` is where the candidate lexeme began; see `lexStateFromData`.
         currentCharIndex: 0,
+        tokenStart: 0,
+        lastMatch: null,
+        tokens: [],
+        lexErrors: [],
+        lexingDone: false,
+        // One of `recoveryStrategies`; see `nextLexDecision`.
+        recoveryStrategy: 'error-token',
+        // Index into `tokens` of the token highlighted in the CharacterView and TokenStream.
+        // Pinned highlights stay put when the mouse moves away.
+        highlightedToken: null,
+        highlightPinned: false,
+        // Every lexer state we've stepped away from, most recent last, so steps can be undone.
+        lexHistory: [],
+        // Character indices that stop `runLexer` when the lexer reaches them.
+        breakpoints: [],
+        // Autoplay: whether the lexer is stepping on its own, and how many steps it takes a second.
+        playing: false,
+        playSpeed: 8,
+        // The parsing stage: the grammar (see `createGrammar`), the parse of the lexed tokens so
+        // far, and every parse state we've stepped away from, most recent last.
+        grammar: createGrammar(`
+%ignore whitespace
+expr      -> term expr_tail
+expr_tail -> operator term expr_tail
+           | ε
+term      -> "-" term
+           | number
+           | identifier call
+           | "(" expr ")"
+call      -> "(" args ")"
+           | ε
+args      -> expr more_args
+           | ε
+more_args -> "," expr more_args
+           | ε`.trim()),
+        parse: initialParseState(),
+        parseHistory: [],
+        // A source span `{ start, end }` to highlight in the CharacterView, such as the one under a
+        // hovered parse tree node. It takes precedence over `highlightedToken`.
+        highlightedSpan: null,
+        // Rules are tried in list order, so a rule's position is also its priority. See
+        // `createTokenRule` for the shape of each entry.
         tokenRules: [
-            // {
-            //     name: "identifier",
-            //     process(str, start, cur) {
-            //         let first = str[start];
-            //         notWhitespace
-            //     },
-            //     matcher(chars) {
-            //         return /^([a-zA-Z]|_)([a-zA-Z0-9_])*$/.test(chars);
-            //     },
-            //     examples: ['john', '_func', '_', 'John_Adams', 'FOOL', 'jim1_23', 'x1', 'y2']
-            // }
+            createTokenRule({
+                name: 'identifier',
+                matcherType: 'regex',
+                matcherSource: '([a-zA-Z]|_)([a-zA-Z0-9_])*',
+                examples: ['john', '_func', '_', 'John_Adams', 'FOOL', 'jim1_23', 'x1', 'y2'],
+                counterExamples: ['1x', 'x-y', 'two words'],
+            }),
+            createTokenRule({
+                name: 'number',
+                matcherType: 'regex',
+                matcherSource: '[0-9]+',
+                examples: ['0', '3', '10', '1234'],
+            }),
+            createTokenRule({
+                name: 'operator',
+                matcherType: 'predicate',
+                matcherSource: "chars => ['+', '-', '*', '/', '=', '==', '!', '!='].includes(chars)",
+                examples: ['+', '-', '=', '==', '!='],
+            }),
+            createTokenRule({
+                name: 'punctuation',
+                matcherType: 'regex',
+                matcherSource: '[(){},;.]',
+                examples: ['(', ')', '{', '}', ',', ';', '.'],
+            }),
+            createTokenRule({
+                name: 'whitespace',
+                matcherType: 'regex',
+                matcherSource: '\\s+',
+                examples: [' ', '    '],
+            }),
         ],
+        // Index into `tokenRules` of the rule whose automaton is drawn, or null to follow
+        // whichever rule the lexer is matching. See `RuleAutomaton`.
+        automatonRule: null,
         selectedCodeExample: 'default',
         // This will be a lookup table of all code examples. You can set a name and it will
-        // auto-save when you select a new one. This let's you iteratively test.
+        // auto-save when you select a new one. This let's you iteratively test. Examples, the
+        // selection and the rules are saved to localStorage as you go; see `WorkspaceStorage`.
         codeExamples: {
             default: `
 function garbage(x, y) {
@@ -61,20 +134,75 @@ else {
 
     /// Takes an object containing the fields you wish to update in the state along with their new
     /// values.
+    ///
+    /// Besides the field itself, every nested path whose value changed is marked, such as
+    /// `codeExamples.default` when only that example was edited, so components can subscribe to
+    /// just the part they use. Computed fields are brought up to date straight away, and a frame is
+    /// scheduled to update the components.
     setData(dataObj) {
+        const previous = {};
         for (let field in dataObj) {
-            this.data[field] = dataObj[field];
+            if (this.computedFields.some(computed => computed.name === field)) {
+                throw new Error(`'${field}' is computed from other fields; set those instead`);
+            }
+            if (this.devMode) {
+                freezeDeep(dataObj[field]);
+            }
+            markChangedPaths(field, this.data[field], dataObj[field], this.changedFields);
+            // The field is dirty even if it's the same object, since it may have been changed in
+            // place.
             this.changedFields.add(field);
+            previous[field] = this.data[field];
+            this.data[field] = dataObj[field];
+        }
+        this.recompute();
+        this.requestFrame();
+
+        for (let listener of this.setDataListeners) {
+            listener({ changes: dataObj, previous });
+        }
+    },
+
+    /// Adds a field whose value is `fn(data)`, recomputed whenever one of `dependencies` (fields or
+    /// nested paths) changes. Components subscribe to it like any other field, and are only updated
+    /// when the computed value itself changes.
+    compute(name, dependencies, fn) {
+        this.computedFields.push({ name, dependencies, fn });
+        this.data[name] = this.devMode ? freezeDeep(fn(this.data)) : fn(this.data);
+    },
+
+    // Computed fields depending on other computed fields must be added after them.
+    recompute() {
+        for (let { name, dependencies, fn } of this.computedFields) {
+            if (!dependencies.some(path => this.changedFields.has(path))) {
+                continue;
+            }
+            const value = this.devMode ? freezeDeep(fn(this.data)) : fn(this.data);
+            if (value !== this.data[name]) {
+                this.data[name] = value;
+                this.changedFields.add(name);
+            }
+        }
+    },
+
+    /// Schedules a frame to update components, unless one already is. Nothing runs between
+    /// frames, so when nothing changes the app sits idle.
+    requestFrame() {
+        if (this.frameCallback && !this.frameRequested) {
+            this.frameRequested = true;
+            window.requestAnimationFrame(this.frameCallback);
         }
     },
 
     /// Accesses are the same as fields in terms of data access, however, they don't lead to a
-    /// subscription effect when they change.
+    /// subscription effect when they change. A nested path like `codeExamples.default` gives access
+    /// to the whole top-level field; it only narrows down when the component is updated.
     setupDataForPassingToComponents(fields, accesses) {
         // Prepare to grab all fields + non-subscribed accesses from our state's data.
-        fields = [...fields, ...accesses];
+        fields = [...fields, ...accesses].map(path => path.split('.')[0]);
 
-        // Do note that fields behind this proxy can still be mutated through methods (arrays, objects) and indexing.
+        // Fields behind this proxy are only frozen in dev mode; otherwise they can still be mutated
+        // through methods (arrays, objects) and indexing, and the rest of the app would see it.
         const dataProxy = new Proxy({}, {
             // Ensure only subscribed + fields are available, in addition to "accesses".
             get: (_self, field) => {
@@ -89,7 +217,9 @@ else {
                 if (!isSubscribed) {
                     throw new Error(`you're not subscribed to the field '${field}, please subscribe (or place it in 'accesses') before attempting to access it`)
                 } else {
-                    return this.data[field];
+                    // During an update pass everyone reads the pass's snapshot; otherwise (event
+                    // handlers, frame listeners) the latest data.
+                    return (this.snapshot || this.data)[field];
                 }
             },
             set: function () {
@@ -103,18 +233,25 @@ else {
     /// mount code, and then update them when state changes are made. State is centralized here, and
     /// all changes propagate here.
     reactifyYourApp() {
+        if (this.devMode) {
+            for (let field in this.data) {
+                freezeDeep(this.data[field]);
+            }
+        }
+
         ///////////
         // Mount //
         ///////////
+        this.snapshot = { ...this.data };
         for (let [component, fields, opts] of this.subscribedComponents) {
-            // This proxy wrapping code should be the same as the update. So we'll likely want to
-            // abstract the code out.
-            const data = this.setupDataForPassingToComponents(fields, opts.accesses);
-
-            component.data = data;
-            component.mount({ data });
-            component.mountAndUpdate && component.mountAndUpdate({ data });
+            this.mountComponent(component, fields, opts);
         }
+        this.snapshot = null;
+        // Components mount wherever they like (usually the end of `appEl`); this moves the ones
+        // that belong to pages into their page's container.
+        this.layoutPage();
+        // Mounting already drew everything as it is now.
+        this.changedFields = new Set();
 
         ////////////////////
         // MountAndUpdate //
@@ -132,15 +269,59 @@ else {
         ////////////
         // Update //
         ////////////
-        const callback = () => {
-            if (this.changedFields.size != 0) {
+        const callback = (timestamp) => {
+            this.frameRequested = false;
+
+            // Frame listeners run first, so anything they set is rendered in this same frame.
+            let keepAnimating = false;
+            for (let listener of [...this.frameListeners]) {
+                try {
+                    if (listener(timestamp)) {
+                        keepAnimating = true;
+                    }
+                } catch (e) {
+                    // Dropped, or it would fail again every frame.
+                    console.error('a frame listener failed and was removed:', e);
+                    this.frameListeners = this.frameListeners.filter(other => other !== listener);
+                }
+            }
+
+            // Take the changes for this frame now, so that fields set during the updates below are
+            // left for the next frame instead of being cleared with these.
+            const changedFields = this.changedFields;
+            this.changedFields = new Set();
+            const resubscribed = this.resubscribedComponents;
+            this.resubscribedComponents = new Set();
+
+            if (changedFields.size != 0 || resubscribed.size != 0) {
+                // A shallow copy is enough: fields are replaced rather than changed in place, so
+                // the snapshot shares everything with the live data until setData swaps a field out.
+                this.snapshot = { ...this.data };
+                const pageChanged = changedFields.has('currentPage');
+                if (pageChanged) {
+                    this.layoutPage();
+                }
+
                 // Iterate through all components that are subscribed and check to see if any of the
                 // fields it subscribed to changed.
                 let componentsToUpdate = [];
                 for (let [component, fields, opts] of this.subscribedComponents) {
-                    for (field of fields) {
-                        if (this.changedFields.has(field)) {
-                            // The component needs to be updated.
+                    const onPage = this.isOnCurrentPage(opts);
+                    // A component whose fields changed while its page was hidden catches up as soon
+                    // as its page is shown.
+                    const catchingUp = onPage && pageChanged && this.staleComponents.has(component);
+                    // As does one whose subscription just changed, whatever else did.
+                    const forced = catchingUp || resubscribed.has(component);
+
+                    for (let field of forced ? [null] : fields) {
+                        if (forced || changedFields.has(field)) {
+                            // The component needs to be updated, but there's no point drawing it
+                            // while nobody can see it.
+                            if (!onPage) {
+                                this.staleComponents.add(component);
+                                break;
+                            }
+                            this.staleComponents.delete(component);
 
                             const data = this.setupDataForPassingToComponents(fields, opts.accesses);
 
@@ -152,7 +333,7 @@ else {
                             // inconsistent component state inter-this-loop. So we actually need to
                             // ensure setData doesn't alter state until we're ready. I think this is
                             // possible by delaying the component update to outside of this loop:
-                            componentsToUpdate.push([component, data]);
+                            componentsToUpdate.push([component, data, opts]);
 
                             // Exit this inner loop.
                             break;
@@ -166,13 +347,14 @@ else {
                 // we'll be fine. So let's make that a restriction for now and see how that pans
                 // out.
                 //
-                // Alternatively, (and I have indeed implemented this solution since documenting
-                // here) since the central data that components use for updates is passed in to
-                // them, if we make data a deep clone, then any mutation within a component won't
-                // affect central state: only setData will affect central state. This *still* means
-                // that central data can be changed by setData calls in update code, however, the
-                // data being passed to each component will *not* be affected by those mutations,
-                // because they are copies.
+                // Alternatively, since the central data that components use for updates is passed
+                // in to them, we can hand them a snapshot: the data as it was when this pass
+                // started. setData calls in update code still change central data, however, the
+                // snapshot being read by each component will *not* be affected by those changes.
+                // A deep clone would do that too, but copying every token and history entry each
+                // frame is far too slow, so the snapshot is shallow and the data is treated as
+                // immutable instead. In dev mode it's frozen, so a component that mutates it gets
+                // an error naming it, rather than a bug somewhere else.
                 //
                 // Thus, components that don't access state.data directly use data that's fully
                 // isolated from our central state, and only setData can change it, which we
@@ -187,334 +369,3123 @@ else {
                 // those cases is to keep an internal buffer of the data stored every update, and
                 // use that value in manual calls to update. As long as the synchronization code is
                 // correct, that will ensure that the values are always up-to-date from central.
-                for (let [component, data, _opts] of componentsToUpdate) {
+                const updated = [];
+                for (let [component, data, opts] of componentsToUpdate) {
+                    // An earlier update in this pass may have unsubscribed it.
+                    if (!this.isSubscribed(component)) {
+                        continue;
+                    }
                     component.data = data;
-                    component.mountAndUpdate && component.mountAndUpdate({ data });
-                    component.update && component.update({ data });
+                    this.updateComponent(component, opts, data);
+                    updated.push(opts.name);
+                }
+                this.snapshot = null;
+
+                for (let listener of this.passListeners) {
+                    listener({ changedFields, updated });
                 }
-                // Clear the set, as all fields have been changed.
-                this.changedFields = new Set();
             } else {
                 // Do nothing
             }
 
-            // This triggers a loop of this function, but throttled to be only as fast as the DOM
-            // can visually update. Infinite loops are possible, but will not gobble up all the CPU
-            // because of this throttling. That said, I'm not sure how expensive doing things this
-            // way will be; it might be worth cancelling the loop when there are no data changes
-            // mid-loop, and wait for the next time setData is called to start up again.
-            window.requestAnimationFrame(callback);
+            // The loop only carries on while there's something to do: fields set during this
+            // frame's updates, or a frame listener that's animating. Otherwise the next setData
+            // starts it up again. A listener that set data has already requested the next frame,
+            // so this goes through `requestFrame` too, to never have two waiting.
+            if (keepAnimating || this.changedFields.size != 0 || this.resubscribedComponents.size != 0) {
+                this.requestFrame();
+            }
         };
-        window.requestAnimationFrame(callback);
+        this.frameCallback = callback;
+        this.requestFrame();
     },
 
-    // A list of tuples with the component, the fields it's subscribed to, and additional options.
-    subscribedComponents: [],
-    changedFields: new Set(),
+    mountComponent(component, fields, opts) {
+        const data = this.setupDataForPassingToComponents(fields, opts.accesses);
+        component.data = data;
+        if (this.callComponent(component, opts, 'mount', data)) {
+            this.updateComponent(component, opts, data);
+        }
+    },
 
-    subscribe(component, fields, opts = { accesses: [] }) {
-        this.subscribedComponents.push([component, fields, opts]);
-    }
-};
+    updateComponent(component, opts, data) {
+        if (this.callComponent(component, opts, 'mountAndUpdate', data) && this.callComponent(component, opts, 'update', data)) {
+            // It's working again.
+            this.clearComponentError(component);
+        }
+    },
 
-function cloneDeep(data) {
-    if (typeof data !== 'object') {
-        return data;
-    } else if (data.hasOwnProperty('length')) {
-        // It's an array.
-        let ret = [];
-        for (let val of data) {
-            ret.push(cloneDeep(val));
+    /// Calls one of a component's hooks, if it has it, and returns whether it succeeded. A hook
+    /// that throws gets an error box in place of the component, and the rest of the app carries on.
+    callComponent(component, opts, hook, data) {
+        if (!component[hook]) {
+            return true;
         }
-        return ret;
-    } else {
-        // It's a normal object.
-        let ret = {};
-        for (let key in data) {
-            let val = data[key];
-            ret[key] = cloneDeep(val);
+        try {
+            component[hook]({ data });
+            return true;
+        } catch (e) {
+            // Mutating frozen data throws a TypeError whose message doesn't say who did it.
+            let message = e.message;
+            if (e instanceof TypeError && /read.only|not extensible|non-configurable|delete property/i.test(message)) {
+                message = `it changed state data in place; use setData with a new value instead (${message})`;
+            }
+            console.error(`${opts.name} failed in ${hook}:`, e);
+            this.showComponentError(component, `${opts.name} failed in ${hook}: ${message}`);
+            return false;
         }
-        return ret;
-    }
-}
+    },
 
-function TextArea() {
-    function longestCodeLineLength(code) {
-        const lines = code.split('\n');
-        let longest = "";
-        for (line of lines) {
-            if (line.length > longest.length) {
-                longest = line;
-            }
+    showComponentError(component, message) {
+        let box = this.errorBoxes.get(component);
+        if (!box) {
+            box = document.createElement('div');
+            box.className = 'component-error';
+            this.errorBoxes.set(component, box);
         }
-        return longest.length;
-    }
+        box.textContent = message;
+        this.placeErrorBox(component);
+    },
 
-    function numberOfLines(code) {
-        return code.split('\n').length;
-    }
+    clearComponentError(component) {
+        const box = this.errorBoxes.get(component);
+        if (box) {
+            box.remove();
+            this.errorBoxes.delete(component);
+        }
+    },
 
-    const obj = {
-        mountNode: document.createElement('textarea'),
-        mount() {
-            const { selectedCodeExample, codeExamples } = this.data;
-            const currentText = codeExamples[selectedCodeExample];
+    // Error boxes sit just before their component, so they move with it between pages.
+    placeErrorBox(component) {
+        const box = this.errorBoxes.get(component);
+        if (!box) {
+            return;
+        }
+        if (component.mountNode && component.mountNode.parentNode) {
+            component.mountNode.before(box);
+        } else if (!box.parentNode) {
+            appEl.append(box);
+        }
+    },
 
-            this.updateTextArea(currentText);
+    // Dev mode freezes everything in `data`; see `setData`. It costs a walk over every new value,
+    // so it's only on when running locally.
+    devMode: ['localhost', '127.0.0.1', ''].includes(window.location.hostname),
+    // The data as it was at the start of the current update pass, or null between passes.
+    snapshot: null,
 
-            // When we update our textAreas here, we want to ensure that they update the state model.
-            this.mountNode.addEventListener('keydown', e => this.updateTextArea(e.target.value, true));
-            this.mountNode.addEventListener('keyup', e => this.updateTextArea(e.target.value, true));
-            this.mountNode.addEventListener('keypress', e => this.updateTextArea(e.target.value, true));
+    // A list of tuples with the component, the fields it's subscribed to, and additional options.
+    subscribedComponents: [],
+    // Fields and nested paths changed since the last frame; see `setData`.
+    changedFields: new Set(),
+    // `{ name, dependencies, fn }` for each computed field, in the order they were added.
+    computedFields: [],
+    // The frame callback, once the app is running, and whether it's waiting for a frame.
+    frameCallback: null,
+    frameRequested: false,
+    // Components that have missed updates because their page was hidden.
+    staleComponents: new Set(),
+    // Components to update next frame whether or not their fields changed, because their
+    // subscription did.
+    resubscribedComponents: new Set(),
+    // Component -> the box showing why it failed, for components whose last hook threw.
+    errorBoxes: new Map(),
+    // Page id -> the element holding that page's components. Created as pages are laid out.
+    pageContainers: {},
 
-            appEl.append(this.mountNode);
-        },
-        updateTextArea(currentText, setData) {
-            this.mountNode.rows = numberOfLines(currentText) + 1;
-            this.mountNode.cols = longestCodeLineLength(currentText) - 1;
-            this.mountNode.textContent = currentText;
-            if (setData) {
-                state.setData({
-                    codeExamples:
-                        { ...this.data.codeExamples, [this.data.selectedCodeExample]: currentText }
-                });
-            }
-        },
-        update() {
-            const { lexingStarted, codeExamples, selectedCodeExample } = this.data;
-            this.updateTextArea(codeExamples[selectedCodeExample]);
-            this.mountNode.disabled = lexingStarted;
+    /// Fields can be top-level fields, computed fields, or nested paths into plain objects, like
+    /// `codeExamples.default`. Options are:
+    ///
+    ///     name     - what to call the component in errors, usually its function's name
+    ///     accesses - fields the component reads without updating when they change
+    ///     pages    - ids of the pages the component appears on; it's on every page if omitted.
+    ///                Components are only updated while their page is showing.
+    ///
+    /// Subscribing once the app is running mounts the component straight away. Subscribing a
+    /// component again changes its fields, keeping any options that aren't given again, and
+    /// updates it on the next frame.
+    subscribe(component, fields, opts = {}) {
+        const index = this.subscribedComponents.findIndex(([subscribed]) => subscribed === component);
+        if (index !== -1) {
+            const [, , previousOpts] = this.subscribedComponents[index];
+            const updatedOpts = { ...previousOpts, ...opts };
+            this.subscribedComponents[index] = [component, fields, updatedOpts];
+            component.data = this.setupDataForPassingToComponents(fields, updatedOpts.accesses);
+            this.resubscribedComponents.add(component);
+            this.requestFrame();
+            return;
         }
-    };
 
-    state.subscribe(obj, ['selectedCodeExample', 'codeExamples', 'lexingStarted']);
-};
+        opts = { name: 'a component', accesses: [], pages: null, ...opts };
+        this.subscribedComponents.push([component, fields, opts]);
+        if (this.frameCallback) {
+            this.mountComponent(component, fields, opts);
+            this.layoutPage();
+        }
+    },
 
-/// The id-generation code assumes only one character view exists at a time.
-function CharacterView() {
-    let charId = 0;
+    /// Stops updating a component and takes it out of the page. Its `unmount` hook, if it has one,
+    /// is called first to clean up anything outside its `mountNode`, like window listeners and
+    /// frame listeners; listeners on the node itself go with it.
+    unsubscribe(component) {
+        const index = this.subscribedComponents.findIndex(([subscribed]) => subscribed === component);
+        if (index === -1) {
+            return;
+        }
+        const [, , opts] = this.subscribedComponents[index];
+        this.subscribedComponents.splice(index, 1);
+        this.staleComponents.delete(component);
+        this.resubscribedComponents.delete(component);
 
-    // line: String
-    // return: HTML
-    function createLineOfChars(line, currentCharIndex) {
-        let row = document.createElement('row');
-        row.className = "row";
+        this.callComponent(component, opts, 'unmount', component.data);
+        this.clearComponentError(component);
+        if (component.mountNode) {
+            component.mountNode.remove();
+        }
+    },
+
+    isSubscribed(component) {
+        return this.subscribedComponents.some(([subscribed]) => subscribed === component);
+    },
 
-        for (char of line.split('')) {
-            let div = document.createElement('div');
-            div.innerHTML = char;
-            div.className = "char";
-            div.id = `char-${charId}`;
+    isOnCurrentPage(opts) {
+        return opts.pages === null || opts.pages.includes(this.data.currentPage);
+    },
 
-            if (char == ' ') {
-                div.className += ' space';
+    /// Shows the current page's container and hides the others. Components on the current page are
+    /// (re-)appended to its container in the order they subscribed, which is how components that
+    /// appear on several pages end up on the one being shown.
+    layoutPage() {
+        const page = this.data.currentPage;
+        const containerOf = (id) => {
+            if (!this.pageContainers[id]) {
+                const container = document.createElement('div');
+                container.className = 'page';
+                container.dataset.page = id;
+                appEl.append(container);
+                this.pageContainers[id] = container;
             }
+            return this.pageContainers[id];
+        };
 
-            if (charId === currentCharIndex) {
-                div.className += ' selected';
+        for (let [component, _fields, opts] of this.subscribedComponents) {
+            if (opts.pages === null || !component.mountNode) {
+                continue;
             }
+            if (opts.pages.includes(page)) {
+                containerOf(page).append(component.mountNode);
+            } else if (!component.mountNode.closest('.page')) {
+                containerOf(opts.pages[0]).append(component.mountNode);
+            }
+            this.placeErrorBox(component);
+        }
 
-            row.append(div);
-            charId += 1;
+        for (let id in this.pageContainers) {
+            this.pageContainers[id].hidden = id !== page;
         }
-        return row;
+    },
+
+    // Callbacks run at the start of every animation frame with the frame's timestamp.
+    frameListeners: [],
+
+    // Callbacks told about every setData call and every update pass, for debugging tools.
+    setDataListeners: [],
+    passListeners: [],
+
+    /// Runs `listener({ changes, previous })` after every setData, where `changes` is what was
+    /// passed in and `previous` holds the values those fields had before.
+    onSetData(listener) {
+        this.setDataListeners.push(listener);
+        return () => {
+            this.setDataListeners = this.setDataListeners.filter(other => other !== listener);
+        };
+    },
+
+    /// Runs `listener({ changedFields, updated })` after every update pass, where `updated` lists
+    /// the names of the components that were updated, in order.
+    onUpdatePass(listener) {
+        this.passListeners.push(listener);
+        return () => {
+            this.passListeners = this.passListeners.filter(other => other !== listener);
+        };
+    },
+
+    /// Runs `listener(timestamp)` on every animation frame, before components are updated. This is
+    /// the place for anything time-based, like animations. Frames only run after a setData, so a
+    /// listener that needs the next frame regardless (say, to keep an animation going) returns true.
+    /// Returns a function that removes the listener again.
+    onFrame(listener) {
+        this.frameListeners.push(listener);
+        return () => {
+            this.frameListeners = this.frameListeners.filter(other => other !== listener);
+        };
+    }
+};
+
+// The source of the selected code example.
+state.compute('currentSource', ['codeExamples', 'selectedCodeExample'], ({ codeExamples, selectedCodeExample }) =>
+    codeExamples[selectedCodeExample]
+);
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/// Adds `path` to `changed` if `next` isn't `prev`, then does the same for the keys of plain
+/// objects, so `codeExamples.default` is marked when only that example changed. Arrays and other
+/// objects are only compared as a whole.
+function markChangedPaths(path, prev, next, changed) {
+    if (prev === next) {
+        return;
     }
+    changed.add(path);
 
-    function buildCharacterView(code, currentCharIndex) {
-        const container = document.createElement('div');
-        container.id = 'character-view';
-        container.className = 'character-view';
-        for (line of code.split('\n')) {
-            let row = createLineOfChars(line, currentCharIndex);
-            container.append(row);
-        }
-        return container;
+    const prevObject = isPlainObject(prev) ? prev : {};
+    const nextObject = isPlainObject(next) ? next : {};
+    const keys = new Set([...Object.keys(prevObject), ...Object.keys(nextObject)]);
+    for (let key of keys) {
+        markChangedPaths(`${path}.${key}`, prevObject[key], nextObject[key], changed);
+    }
+}
+
+/// Freezes plain objects and arrays all the way down, and returns `data`. Other objects (Maps,
+/// RegExps, functions, ...) are left alone, as freezing them wouldn't stop their methods changing
+/// them anyway. Frozen values are assumed to be frozen all the way down already.
+function freezeDeep(data) {
+    if (!(Array.isArray(data) || isPlainObject(data)) || Object.isFrozen(data)) {
+        return data;
     }
+    Object.freeze(data);
+    for (let key of Object.keys(data)) {
+        freezeDeep(data[key]);
+    }
+    return data;
+}
 
+/// The tabs along the top, one per page.
+function PageNav() {
     const obj = {
-        mountNode: null,
+        mountNode: document.createElement('nav'),
         mount() {
-            const { selectedCodeExample, codeExamples, currentCharIndex } = this.data;
-            const container = buildCharacterView(codeExamples[selectedCodeExample], currentCharIndex);
-            this.mountNode = container;
+            this.mountNode.className = 'page-nav';
+            for (let { id, title } of pages) {
+                const tab = document.createElement('button');
+                tab.textContent = title;
+                tab.dataset.page = id;
+                tab.onclick = () => state.setData({ currentPage: id });
+                this.mountNode.append(tab);
+            }
             appEl.append(this.mountNode);
         },
-        // This does a full re-draw of every div, which is an expensive thing to do in the DOM
-        // because new objects are created for each. But, it's a pain and the ass to do a more
-        // granular update of this using just the textarea API, so we prefer this method for now.
-        update() {
-            charId = 0;
-            const { selectedCodeExample, codeExamples, currentCharIndex } = this.data;
-            const container = buildCharacterView(codeExamples[selectedCodeExample], currentCharIndex);
-            this.mountNode.innerHTML = container.innerHTML;
+        mountAndUpdate() {
+            for (let tab of this.mountNode.children) {
+                tab.classList.toggle('active', tab.dataset.page === this.data.currentPage);
+            }
         }
     };
 
-    state.subscribe(obj, ['selectedCodeExample', 'currentCharIndex'], { accesses: ['codeExamples'] });
+    state.subscribe(obj, ['currentPage'], { name: 'PageNav' });
 }
 
-function NextChar() {
-    // The current scheme is to create a new onClick function every update. An alternative would be
-    // to query the *current* state in this function, meaning it would not have to be updated.
-    //
-    // However, I'd need to work out if that is actually safe. Currently, data is updated in a
-    // regimented way, and components only access data they are subscribed to. This is probably a
-    // good thing.
-
-    currentListener = null;
+/// Keeps the URL hash in step with the current page and example, as `#page=lexing&example=default`,
+/// so links open where they were copied from. Editing the hash (or going back) switches too, and a
+/// hash with a `share` in it opens that session; see `restoreShare`.
+function HashRouter() {
     const obj = {
-        mountNode: document.createElement('button'),
-        mount() {
-            const nextCharButton = this.mountNode;
-            nextCharButton.innerHTML = "Next Char"
-            appEl.append(this.mountNode);
-        },
-        mountAndUpdate({ data }) {
-            this.mountNode.onclick = () => {
-                let updated = { currentCharIndex: data.currentCharIndex + 1 };
-                if (!data.lexingStarted) {
-                    updated.lexingStarted = true;
-                }
+        onHashChange() {
+            const updated = dataFromHash(window.location.hash, this.data);
+            if (Object.keys(updated).length > 0) {
                 state.setData(updated);
             }
-
-            if (matchingRules(data.tokenRules).length === 0) {
-                this.mountNode.title = 'the current character does not satisfy any rules';
-                this.mountNode.disabled = true;
-            } else {
-                this.mountNode.title = null;
-                this.mountNode.disabled = false;
+            restoreShare(window.location.hash);
+        },
+        mount() {
+            this.onHashChange = this.onHashChange.bind(this);
+            window.addEventListener('hashchange', this.onHashChange);
+        },
+        unmount() {
+            window.removeEventListener('hashchange', this.onHashChange);
+        },
+        mountAndUpdate() {
+            const { currentPage, selectedCodeExample } = this.data;
+            const hash = `#${new URLSearchParams({ page: currentPage, example: selectedCodeExample })}`;
+            if (window.location.hash !== hash) {
+                window.location.hash = hash;
             }
         }
     };
 
-    state.subscribe(obj, ['currentCharIndex', 'lexingStarted', 'tokenRules']);
+    state.subscribe(obj, ['currentPage', 'selectedCodeExample'], { name: 'HashRouter', accesses: ['codeExamples'] });
 }
 
-function ExampleSwitcher() {
-    // implementation notes:
+/// The source editor: a textarea over a copy of its text with the tokens coloured by rule, plus
+/// line numbers. Tab indents (and Shift+Tab outdents) instead of leaving the editor; press Escape
+/// first to tab out.
+///
+/// Once lexing starts the source is read-only, and the caret follows the lexer: stepping moves
+/// the caret, and moving the caret seeks the lexer to it, which selects that character in the
+/// CharacterView. So it's on the lexing page too, beside the CharacterView and the lexer controls.
+function SourceEditor() {
+    const indent = '    ';
 
-    // HTML Attributes don't support a lot of characters, so to use the value attribute we want to
-    // preserve string uniqueness while using only supported chars. There is a way to do this:
-    // base64 encoding is lossless, but it also uses some unsupported characters ('+' and '/' and
-    // '='). Of these, string names don't seem to require '+' or '/', but '=' is used everywhere for
-    // base64's padding. Solution: replace '=' with '-', which *is* compatible, and is not already
-    // used by base64 encoding.
+    function longestLineLength(code) {
+        return Math.max(...code.split('\n').map(line => line.length));
+    }
 
-    function codeExamplesToDomOptions(examples, selectEl) {
-        for (let key in examples) {
-            let opt = document.createElement('option');
-            opt.text = key;
-            // See impl notes.
-            opt.value = btoa(key).replace(/=/g, '-');
-
-            let matchingOpt = selectEl.querySelector(`option[value=${opt.value}]`);
-            // console.log(`matching opt`, matchingOpt);
-            if (matchingOpt) {
-                // Do nothing I guess? Options will *not* 
-            } else {
-                selectEl.add(opt);
+    // Rules are told apart by hue, spread out so neighbours don't look alike.
+    function ruleColor(ruleIndex) {
+        return `hsl(${(ruleIndex * 137) % 360}, 65%, 72%)`;
+    }
+
+    // Spans for each token, plus the text lexing skipped (errors) or never reached.
+    function highlightSource(code, rules, recovery) {
+        const { tokens, stuckAt } = lex(code, rules, { recovery });
+        const spans = [];
+        let at = 0;
+        const addGap = (end) => {
+            if (end > at) {
+                const className = stuckAt !== null && at >= stuckAt ? 'source-unlexed' : 'source-error';
+                spans.push({ text: code.slice(at, end), className });
             }
+        };
+        for (let token of tokens) {
+            addGap(token.start);
+            const ruleIndex = rules.findIndex(rule => rule.name === token.rule);
+            spans.push(ruleIndex === -1
+                ? { text: token.text, className: 'source-error' }
+                : { text: token.text, className: 'source-token', color: ruleColor(ruleIndex) });
+            at = token.end;
         }
+        addGap(code.length);
+        return spans;
     }
 
     const obj = {
         mountNode: document.createElement('div'),
-        selectField: document.createElement('select'),
+        bar: document.createElement('div'),
+        barMessage: document.createElement('span'),
+        resetButton: document.createElement('button'),
+        gutter: document.createElement('pre'),
+        highlight: document.createElement('pre'),
+        input: document.createElement('textarea'),
+        // What the highlight was last drawn from, so it's only redrawn when one of them changes.
+        highlighted: null,
+        // After Escape, Tab moves focus out like it normally would.
+        tabLeaves: false,
         mount() {
-            this.mountNode.append(this.selectField);
+            this.mountNode.className = 'source-editor';
 
-            // Update the selected example in state on select-field change, clearing the current
-            // lexing progress.
-            this.selectField.onchange = (e) => {
-                // See impl notes.
-                const exampleName = atob(e.currentTarget.value.replace(/-/g, '='));
-                state.setData({ selectedCodeExample: exampleName, lexingStarted: false, currentCharIndex: 0 });
-            };
+            this.bar.className = 'source-editor-bar';
+            this.resetButton.textContent = 'Reset Lexer';
+            this.resetButton.onclick = () => state.setData(resetLexData());
+            this.bar.append(this.barMessage, this.resetButton);
+
+            this.gutter.className = 'source-gutter';
+            this.gutter.setAttribute('aria-hidden', 'true');
+            this.highlight.className = 'source-highlight';
+            this.highlight.setAttribute('aria-hidden', 'true');
+            this.input.className = 'source-input';
+            this.input.spellcheck = false;
+            this.input.wrap = 'off';
+            this.input.setAttribute('aria-label', 'Source');
+
+            this.input.addEventListener('input', () => this.setSource(this.input.value));
+            this.input.addEventListener('keydown', e => this.onKeyDown(e));
+            this.input.addEventListener('scroll', () => {
+                this.highlight.scrollTop = this.gutter.scrollTop = this.input.scrollTop;
+                this.highlight.scrollLeft = this.input.scrollLeft;
+            });
+            for (let event of ['keyup', 'mouseup', 'select']) {
+                this.input.addEventListener(event, () => this.onCaretMove());
+            }
 
+            const text = document.createElement('div');
+            text.className = 'source-editor-text';
+            text.append(this.highlight, this.input);
+            const body = document.createElement('div');
+            body.className = 'source-editor-body';
+            body.append(this.gutter, text);
+
+            this.mountNode.append(this.bar, body);
             appEl.append(this.mountNode);
         },
         mountAndUpdate() {
-            codeExamplesToDomOptions(this.data.codeExamples, this.selectField);
-        }
-    };
+            const { currentSource, tokenRules, recoveryStrategy, lexingStarted, currentCharIndex } = this.data;
 
-    state.subscribe(obj, ['codeExamples'], { accesses: ['selectedCodeExample'] });
-}
+            // Only when it actually differs, as setting it moves the caret to the end.
+            if (this.input.value !== currentSource) {
+                this.input.value = currentSource;
+            }
+            this.input.rows = currentSource.split('\n').length + 1;
+            this.input.cols = longestLineLength(currentSource) + 2;
 
-function RuleSpace() {
-    const obj = {
-        mountNode: document.createElement('div'),
-        ruleArea: document.createElement('div'),
-        mount() {
-            const p = document.createElement('p');
-            p.textContent = `
-                Rulespace:
-            `;
-            this.mountNode.append(p);
+            const lineCount = currentSource.split('\n').length;
+            if (this.gutter.childElementCount !== lineCount) {
+                this.gutter.innerHTML = '';
+                for (let line = 1; line <= lineCount; line++) {
+                    const number = document.createElement('div');
+                    number.textContent = line;
+                    this.gutter.append(number);
+                }
+            }
 
-            this.mountNode.append(this.ruleArea);
+            const { highlighted } = this;
+            if (!highlighted || highlighted.source !== currentSource || highlighted.rules !== tokenRules
+                || highlighted.recovery !== recoveryStrategy) {
+                this.drawHighlight(currentSource, tokenRules, recoveryStrategy);
+                this.highlighted = { source: currentSource, rules: tokenRules, recovery: recoveryStrategy };
+            }
 
-            appEl.append(this.mountNode);
+            this.input.readOnly = lexingStarted;
+            this.mountNode.classList.toggle('lexing', lexingStarted);
+            this.barMessage.textContent = lexingStarted
+                ? 'Lexing has started, so the source is read-only. Move the caret to seek the lexer.'
+                : '';
+            this.resetButton.hidden = !lexingStarted;
+
+            if (lexingStarted && (this.input.selectionStart !== currentCharIndex || this.input.selectionEnd !== currentCharIndex)) {
+                this.input.setSelectionRange(currentCharIndex, currentCharIndex);
+            }
         },
-        mountAndUpdate() {
+        drawHighlight(code, rules, recovery) {
+            this.highlight.innerHTML = '';
+            for (let { text, className, color } of highlightSource(code, rules, recovery)) {
+                const span = document.createElement('span');
+                span.className = className;
+                span.textContent = text;
+                if (color) {
+                    span.style.color = color;
+                }
+                this.highlight.append(span);
+            }
+            // A trailing newline takes up a line in the textarea, but not in a <pre> unless
+            // something follows it.
+            this.highlight.append('\n');
+        },
+        setSource(code) {
+            const { codeExamples, selectedCodeExample } = this.data;
+            state.setData({ codeExamples: { ...codeExamples, [selectedCodeExample]: code } });
+        },
+        onKeyDown(e) {
+            if (e.key === 'Escape') {
+                this.tabLeaves = true;
+                return;
+            }
+            if (e.key !== 'Tab' || this.tabLeaves || this.input.readOnly) {
+                this.tabLeaves = false;
+                return;
+            }
+            e.preventDefault();
+
+            const { value, selectionStart: start, selectionEnd: end } = this.input;
+            if (start === end && !e.shiftKey) {
+                this.input.setRangeText(indent, start, end, 'end');
+            } else {
+                // Indent or outdent every line the selection touches.
+                const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+                const lineEnd = value.indexOf('\n', end) === -1 ? value.length : value.indexOf('\n', end);
+                const lines = value.slice(lineStart, lineEnd);
+                const changed = e.shiftKey
+                    ? lines.replace(new RegExp(`^ {1,${indent.length}}`, 'gm'), '')
+                    : lines.replace(/^/gm, indent);
+                this.input.setRangeText(changed, lineStart, lineEnd, 'select');
+                if (start === end) {
+                    // Outdenting with just a caret keeps it where it was in the line.
+                    const caret = Math.max(lineStart, start - (lines.length - changed.length));
+                    this.input.setSelectionRange(caret, caret);
+                }
+            }
+            this.setSource(this.input.value);
+        },
+        onCaretMove() {
+            const { lexingStarted, currentCharIndex, currentSource, tokenRules, lexHistory, recoveryStrategy } = this.data;
+            const target = this.input.selectionStart;
+            if (!lexingStarted || target === currentCharIndex) {
+                return;
+            }
+            const result = seekLexer(currentSource, tokenRules, lexStateFromData(this.data), lexHistory, target, { recovery: recoveryStrategy });
+            state.setData({ ...lexStateToData(result.lex), lexHistory: result.history });
         },
-        update() { },
     };
 
-    state.subscribe(obj, []);
+    state.subscribe(
+        obj,
+        ['currentSource', 'tokenRules', 'recoveryStrategy', 'lexingStarted', 'currentCharIndex'],
+        { name: 'SourceEditor', accesses: ['codeExamples', 'selectedCodeExample', ...lexFields, 'lexHistory'], pages: ['source', 'lexing'] }
+    );
 }
 
-///////////
-// Token //
-///////////
-function validateRuleExamples(tokenRule) {
-    let failed;
-    for (let example of tokenRule.examples) {
-        if (!tokenRule.matcher(example)) {
-            failed = example;
-            break;
-        }
+/// The id-generation code assumes only one character view exists at a time.
+///
+/// There's a cell per character (a whole code point, so emoji aren't split), newlines included.
+/// Each cell's `char-N` id is the string index its character starts at, which is the same index
+/// `currentCharIndex`, tokens and breakpoints use, and `lineColumnAt` gives its line and column.
+///
+/// Rows are drawn once per source text. After that, updates only touch the characters whose
+/// classes can have changed (see `changedIndices`). Past `windowingThreshold` lines, the view
+/// becomes a scroll box that only draws the rows in view, with spacers standing in for the rest.
+function CharacterView() {
+    const windowingThreshold = 300;
+    // Rows drawn above and below the visible ones, so scrolling doesn't flash empty space.
+    const overscanRows = 10;
+    // Used until a drawn row can be measured.
+    const defaultRowHeight = 30;
+
+    // Splits the source into lines, remembering where each starts so that `char-N` ids line up
+    // with string indices. A line's text leaves out its newline, which is drawn at the end of it.
+    function splitLines(code) {
+        let start = 0;
+        return code.split('\n').map(text => {
+            const line = { start, text };
+            start += text.length + 1;
+            return line;
+        });
     }
-    if (failed) {
-        return failed;
-    } else {
-        return true;
+
+    // What a char's cell shows. Whitespace other than spaces, and any other control character, is
+    // drawn as a symbol, mostly from Unicode's control pictures, so that it can be seen and clicked.
+    function charGlyph(char) {
+        const glyphs = { '\t': '⇥', '\n': '↵', '\r': '␍', '\x7f': '␡' };
+        const code = char.codePointAt(0);
+        if (glyphs[char]) {
+            return glyphs[char];
+        }
+        return code < 0x20 ? String.fromCharCode(0x2400 + code) : char;
     }
-}
 
-function notWhitespace(str) {
-    return !/\s+/s.test(str);
-}
+    // marks: { tokenStart, currentCharIndex, highlight, breakpoints, errors }, where `highlight` is
+    //        the span of the highlighted token, if any.
+    function charClasses(char, index, marks) {
+        const { tokenStart, currentCharIndex, highlight, breakpoints, errors } = marks;
+        let className = 'char';
+
+        if (char == ' ') {
+            className += ' space';
+        } else if (charGlyph(char) !== char) {
+            className += ' control';
+        }
+
+        if (index < tokenStart) {
+            className += ' consumed';
+        } else if (index < currentCharIndex) {
+            className += ' candidate';
+        }
+
+        if (index === currentCharIndex) {
+            className += ' selected';
+        }
+
+        if (highlight && highlight.start <= index && index < highlight.end) {
+            className += ' token-highlight';
+        }
+
+        if (breakpoints.includes(index)) {
+            className += ' breakpoint';
+        }
 
-function matchingRules(rules, charBuffer) {
-    let matches = [];
-    for (rule of rules) {
-        if (rule.matcher(charBuffer)) {
-            matches.push(rule);
+        if (errorAt(errors, index)) {
+            className += ' lex-error';
         }
+        return className;
     }
-    return matches;
-}
 
-///////////////////////////
-// New reactivity design //
-///////////////////////////
+    function errorAt(errors, index) {
+        return errors.find(error => error.start <= index && index < error.end);
+    }
 
-// Lexing page:
-ExampleSwitcher();
-TextArea();
-RuleSpace();
-CharacterView();
-NextChar();
+    // The indices whose classes may differ between two sets of marks.
+    function changedIndices(prev, next) {
+        const indices = new Set();
+        const addRange = (start, end) => {
+            for (let i = start; i < end; i++) {
+                indices.add(i);
+            }
+        };
 
-// Begin app:
-state.reactifyYourApp();
+        // Everything before the lower token start is consumed either way, and everything after the
+        // higher current index is untouched either way; only the stretch between can differ.
+        addRange(
+            Math.min(prev.tokenStart, next.tokenStart),
+            Math.max(prev.currentCharIndex, next.currentCharIndex) + 1
+        );
+
+        const sameHighlight = prev.highlight === next.highlight || (prev.highlight && next.highlight
+            && prev.highlight.start === next.highlight.start && prev.highlight.end === next.highlight.end);
+        if (!sameHighlight) {
+            for (let highlight of [prev.highlight, next.highlight]) {
+                if (highlight) {
+                    addRange(highlight.start, highlight.end);
+                }
+            }
+        }
+
+        for (let index of prev.breakpoints) {
+            if (!next.breakpoints.includes(index)) {
+                indices.add(index);
+            }
+        }
+        for (let index of next.breakpoints) {
+            if (!prev.breakpoints.includes(index)) {
+                indices.add(index);
+            }
+        }
 
-// Validate token examples for debugging:
-for (let rule of state.data.tokenRules) {
-    let res = validateRuleExamples(rule);
-    if (res !== true) {
-        console.log(`rule ${rule.name} failed on ${res}`);
+        if (prev.errors !== next.errors) {
+            for (let error of [...prev.errors, ...next.errors]) {
+                if (!prev.errors.includes(error) || !next.errors.includes(error)) {
+                    addRange(error.start, error.end);
+                }
+            }
+        }
+        return indices;
     }
-}
+
+    function marksFromData(data) {
+        const { tokenStart, currentCharIndex, tokens, highlightedToken, highlightedSpan, breakpoints, lexErrors } = data;
+        const highlight = highlightedSpan || (highlightedToken === null ? null : tokens[highlightedToken]);
+        return { tokenStart, currentCharIndex, highlight, breakpoints, errors: lexErrors };
+    }
+
+    const obj = {
+        mountNode: document.createElement('div'),
+        topSpacer: document.createElement('div'),
+        rowArea: document.createElement('div'),
+        bottomSpacer: document.createElement('div'),
+        // What's currently drawn: the source, its lines, and the marks the classes reflect.
+        source: null,
+        lines: [],
+        marks: null,
+        windowed: false,
+        rowHeight: defaultRowHeight,
+        // Line index -> row element, and char index -> char element, for everything drawn.
+        rowEls: new Map(),
+        charEls: new Map(),
+        // The char the keyboard is on, or null before the grid first gets focus. The grid keeps
+        // focus itself and points at this char with `aria-activedescendant`, so windowing can
+        // drop and redraw rows without losing focus.
+        activeIndex: null,
+        mount() {
+            this.mountNode.id = 'character-view';
+            this.mountNode.className = 'character-view';
+            this.mountNode.tabIndex = 0;
+            this.mountNode.setAttribute('role', 'grid');
+            this.mountNode.setAttribute('aria-label', 'Source characters');
+            this.mountNode.append(this.topSpacer, this.rowArea, this.bottomSpacer);
+
+            this.mountNode.addEventListener('focus', () => {
+                if (this.activeIndex === null) {
+                    // Once lexing is done, the lexer is past the last char.
+                    const at = Math.min(this.data.currentCharIndex, this.source.length - 1);
+                    const after = this.nearestChar(at, 1);
+                    this.setActive(after !== null ? after : this.nearestChar(at, -1));
+                }
+            });
+
+            // Arrow keys move around the grid, and Enter or Space does what a click does.
+            this.mountNode.addEventListener('keydown', e => {
+                if (e.ctrlKey || e.metaKey || e.altKey || this.activeIndex === null) {
+                    return;
+                }
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.toggleBreakpoint(this.activeIndex);
+                    return;
+                }
+                const target = this.charFromKey(e.key, this.activeIndex);
+                if (target !== undefined) {
+                    e.preventDefault();
+                    this.setActive(target);
+                }
+            });
+
+            // Hovering a character highlights the token it was lexed into.
+            this.mountNode.addEventListener('mouseover', e => {
+                const charIndex = charIndexOfElement(e.target);
+                if (charIndex === null || this.data.highlightPinned) {
+                    return;
+                }
+                const tokenIndex = tokenIndexAt(this.data.tokens, charIndex);
+                if (tokenIndex !== this.data.highlightedToken) {
+                    state.setData({ highlightedToken: tokenIndex });
+                }
+            });
+            this.mountNode.addEventListener('mouseleave', () => {
+                if (!this.data.highlightPinned && this.data.highlightedToken !== null) {
+                    state.setData({ highlightedToken: null });
+                }
+            });
+
+            // Clicking a character toggles a breakpoint on it.
+            this.mountNode.addEventListener('click', e => {
+                const charIndex = charIndexOfElement(e.target);
+                if (charIndex !== null) {
+                    this.toggleBreakpoint(charIndex);
+                }
+            });
+
+            this.mountNode.addEventListener('scroll', () => {
+                if (this.windowed) {
+                    this.drawVisibleRows();
+                }
+            });
+
+            appEl.append(this.mountNode);
+        },
+        mountAndUpdate() {
+            const code = this.data.currentSource;
+            const marks = marksFromData(this.data);
+            const moved = this.marks && this.marks.currentCharIndex !== marks.currentCharIndex;
+
+            if (code !== this.source) {
+                this.redraw(code, marks);
+            } else {
+                this.patch(marks);
+            }
+
+            if (moved && this.windowed) {
+                this.scrollToChar(marks.currentCharIndex);
+            }
+        },
+        // Throws away every row and starts over; only needed when the source text changes.
+        redraw(code, marks) {
+            this.source = code;
+            this.lines = splitLines(code);
+            this.marks = marks;
+            this.rowEls.clear();
+            this.charEls.clear();
+            this.rowArea.innerHTML = '';
+            if (this.activeIndex !== null && !this.isChar(this.activeIndex)) {
+                this.activeIndex = null;
+                this.mountNode.removeAttribute('aria-activedescendant');
+            }
+
+            this.windowed = this.lines.length > windowingThreshold;
+            this.mountNode.classList.toggle('windowed', this.windowed);
+            this.drawVisibleRows();
+        },
+        patch(marks) {
+            for (let index of changedIndices(this.marks, marks)) {
+                const el = this.charEls.get(index);
+                if (el) {
+                    this.styleChar(el, index, marks);
+                }
+            }
+            this.marks = marks;
+        },
+        styleChar(el, index, marks) {
+            const char = charAt(this.source, index);
+            const className = charClasses(char, index, marks) + (index === this.activeIndex ? ' active' : '');
+            if (el.className !== className) {
+                el.className = className;
+            }
+            const error = errorAt(marks.errors, index);
+            el.title = error ? error.reason : '';
+
+            // What a screen reader says on reaching the char. `aria-current` marks the lexer's
+            // position.
+            const label = [describeChar(char), el.dataset.position];
+            if (marks.breakpoints.includes(index)) {
+                label.push('breakpoint');
+            }
+            if (error) {
+                label.push(error.reason);
+            }
+            el.setAttribute('aria-label', label.join(', '));
+            if (index === marks.currentCharIndex) {
+                el.setAttribute('aria-current', 'true');
+            } else {
+                el.removeAttribute('aria-current');
+            }
+        },
+        // One cell per character, not per UTF-16 code unit, so emoji stay whole. Each cell's id
+        // is the index its character starts at.
+        createRow(lineIndex) {
+            let row = document.createElement('row');
+            row.className = "row";
+            row.setAttribute('role', 'row');
+
+            this.cellsOf(lineIndex).forEach((index, column) => {
+                let div = document.createElement('div');
+                div.textContent = charGlyph(charAt(this.source, index));
+                div.id = `char-${index}`;
+                div.setAttribute('role', 'gridcell');
+                div.dataset.position = `line ${lineIndex + 1}, column ${column + 1}`;
+                this.styleChar(div, index, this.marks);
+                this.charEls.set(index, div);
+                row.append(div);
+            });
+            return row;
+        },
+        // The indices of the cells in a line: one per character, then its newline, if it has one.
+        cellsOf(lineIndex) {
+            const { start, text } = this.lines[lineIndex];
+            const cells = [];
+            for (let offset = 0; offset < text.length; offset = nextCharIndex(text, offset)) {
+                cells.push(start + offset);
+            }
+            if (start + text.length < this.source.length) {
+                cells.push(start + text.length);
+            }
+            return cells;
+        },
+        // Draws the rows in view (all of them, when not windowed) and drops the rest.
+        drawVisibleRows() {
+            let first = 0;
+            let last = this.lines.length - 1;
+            if (this.windowed) {
+                const scrollTop = this.mountNode.scrollTop;
+                const height = this.mountNode.clientHeight || window.innerHeight;
+                first = Math.max(0, Math.floor(scrollTop / this.rowHeight) - overscanRows);
+                last = Math.min(this.lines.length - 1, Math.ceil((scrollTop + height) / this.rowHeight) + overscanRows);
+            }
+
+            for (let [lineIndex, row] of this.rowEls) {
+                if (lineIndex < first || lineIndex > last) {
+                    const { start, text } = this.lines[lineIndex];
+                    for (let i = start; i <= start + text.length; i++) {
+                        this.charEls.delete(i);
+                    }
+                    row.remove();
+                    this.rowEls.delete(lineIndex);
+                }
+            }
+
+            const rows = [];
+            for (let lineIndex = first; lineIndex <= last; lineIndex++) {
+                if (!this.rowEls.has(lineIndex)) {
+                    this.rowEls.set(lineIndex, this.createRow(lineIndex));
+                }
+                rows.push(this.rowEls.get(lineIndex));
+            }
+            // Appending moves rows that are already drawn, so this also puts new ones in order.
+            this.rowArea.append(...rows);
+
+            if (this.windowed && rows.length > 0 && rows[0].offsetHeight > 0) {
+                this.rowHeight = rows[0].offsetHeight;
+            }
+            this.topSpacer.style.height = this.windowed ? `${first * this.rowHeight}px` : '';
+            this.bottomSpacer.style.height = this.windowed ? `${(this.lines.length - 1 - last) * this.rowHeight}px` : '';
+        },
+        toggleBreakpoint(charIndex) {
+            const { breakpoints } = this.data;
+            state.setData({
+                breakpoints: breakpoints.includes(charIndex)
+                    ? breakpoints.filter(index => index !== charIndex)
+                    : [...breakpoints, charIndex]
+            });
+        },
+        // Whether a char starts at `index`, rather than it being the second half of an emoji, say.
+        isChar(index) {
+            return index >= 0 && index < this.source.length
+                && (index === 0 || nextCharIndex(this.source, index - 1) === index);
+        },
+        // The first char from `index` on in `direction` (1 or -1), or null if there isn't one.
+        nearestChar(index, direction) {
+            for (let i = index; i >= 0 && i < this.source.length; i += direction) {
+                if (this.isChar(i)) {
+                    return i;
+                }
+            }
+            return null;
+        },
+        // The char an arrow key (or Home or End) moves to from `index`: null if there's nowhere to
+        // go, or undefined if it isn't a key for moving.
+        charFromKey(key, index) {
+            const lineIndex = this.lines.findIndex(line => index <= line.start + line.text.length);
+            const cells = this.cellsOf(lineIndex);
+            // Up and down keep the column where they can. Only a last, empty line has no cells.
+            const columnOnLine = (otherIndex) => {
+                if (otherIndex < 0 || otherIndex >= this.lines.length) {
+                    return null;
+                }
+                const others = this.cellsOf(otherIndex);
+                return others.length > 0 ? others[Math.min(cells.indexOf(index), others.length - 1)] : null;
+            };
+            switch (key) {
+                case 'ArrowRight':
+                    return this.nearestChar(index + 1, 1);
+                case 'ArrowLeft':
+                    return this.nearestChar(index - 1, -1);
+                case 'ArrowUp':
+                    return columnOnLine(lineIndex - 1);
+                case 'ArrowDown':
+                    return columnOnLine(lineIndex + 1);
+                case 'Home':
+                    return cells[0];
+                case 'End':
+                    return cells[cells.length - 1];
+            }
+            return undefined;
+        },
+        // Moves the keyboard to `index`, scrolling it into view and highlighting its token the
+        // way hovering it would.
+        setActive(index) {
+            if (index === null) {
+                return;
+            }
+            const previous = this.charEls.get(this.activeIndex);
+            this.activeIndex = index;
+            if (previous) {
+                this.styleChar(previous, charIndexOfElement(previous), this.marks);
+            }
+            if (this.windowed) {
+                this.scrollToChar(index);
+            }
+            const el = this.charEls.get(index);
+            if (el) {
+                this.styleChar(el, index, this.marks);
+                el.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+            }
+            this.mountNode.setAttribute('aria-activedescendant', `char-${index}`);
+
+            const tokenIndex = tokenIndexAt(this.data.tokens, index);
+            if (!this.data.highlightPinned && tokenIndex !== this.data.highlightedToken) {
+                state.setData({ highlightedToken: tokenIndex });
+            }
+        },
+        // Scrolls the row holding `index` into view if it's outside the scroll box.
+        scrollToChar(index) {
+            const lineIndex = this.lines.findIndex(line => index <= line.start + line.text.length);
+            if (lineIndex === -1) {
+                return;
+            }
+            const top = lineIndex * this.rowHeight;
+            const { scrollTop, clientHeight } = this.mountNode;
+            if (top < scrollTop || top + this.rowHeight > scrollTop + clientHeight) {
+                this.mountNode.scrollTop = Math.max(0, top - clientHeight / 2);
+                this.drawVisibleRows();
+            }
+        },
+    };
+
+    state.subscribe(
+        obj,
+        [
+            'currentSource', 'currentCharIndex', 'tokenStart', 'tokens', 'lexErrors',
+            'highlightedToken', 'highlightedSpan', 'breakpoints',
+        ],
+        { name: 'CharacterView', accesses: ['highlightPinned'], pages: ['lexing', 'parsing'] }
+    );
+}
+
+/// Maps a `char-N` div back to N, or null for anything else.
+function charIndexOfElement(el) {
+    const match = /^char-(\d+)$/.exec(el.id || '');
+    return match ? Number(match[1]) : null;
+}
+
+/// A name for a character that reads well aloud, such as 'space' for ' '. Past the end of the
+/// source there's no character, which reads as 'end of input'.
+function describeChar(char) {
+    const names = { ' ': 'space', '\t': 'tab', '\n': 'newline', '\r': 'carriage return' };
+    if (char === undefined || char === '') {
+        return 'end of input';
+    }
+    return names[char] || char;
+}
+
+/// Whether a key press is a shortcut for the component drawn in `el`: the component is on the page
+/// being shown, and nothing with focus wants the key for itself, like a text field or a focused
+/// button being pressed with Space.
+function isShortcut(e, el) {
+    const target = e.target;
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || el.closest('[hidden]')) {
+        return false;
+    }
+    if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) {
+        return false;
+    }
+    return !((e.key === ' ' || e.key === 'Enter') && target.tagName === 'BUTTON');
+}
+
+/// Lists the emitted tokens in order. Hovering a token highlights its characters in the
+/// CharacterView; clicking pins (or unpins) that highlight so you can look around.
+function TokenStream() {
+    function formatSpan(source, token) {
+        const start = lineColumnAt(source, token.start);
+        // Spans are end-exclusive, but it reads better to point at the last character.
+        const end = lineColumnAt(source, Math.max(token.start, token.end - 1));
+        return `${start.line}:${start.column}-${end.line}:${end.column}`;
+    }
+
+    function createTokenEntry(source, token, index) {
+        const li = document.createElement('li');
+        li.className = token.rule === errorTokenRule ? 'token error' : 'token';
+        li.dataset.tokenIndex = index;
+
+        const rule = document.createElement('span');
+        rule.className = 'token-rule';
+        rule.textContent = token.rule;
+
+        const text = document.createElement('span');
+        text.className = 'token-text';
+        text.textContent = JSON.stringify(token.text);
+
+        const span = document.createElement('span');
+        span.className = 'token-span';
+        span.textContent = formatSpan(source, token);
+
+        li.append(rule, text, span);
+        return li;
+    }
+
+    function tokenIndexOfElement(el) {
+        const li = el.closest && el.closest('li.token');
+        return li ? Number(li.dataset.tokenIndex) : null;
+    }
+
+    const obj = {
+        mountNode: document.createElement('div'),
+        list: document.createElement('ol'),
+        // The tokens and source the list was drawn from.
+        drawnTokens: [],
+        drawnSource: null,
+        mount() {
+            this.mountNode.className = 'token-stream';
+            const heading = document.createElement('p');
+            heading.textContent = 'Tokens:';
+            this.mountNode.append(heading, this.list);
+
+            this.list.addEventListener('mouseover', e => {
+                const index = tokenIndexOfElement(e.target);
+                if (index !== null && !this.data.highlightPinned && index !== this.data.highlightedToken) {
+                    state.setData({ highlightedToken: index });
+                }
+            });
+            this.list.addEventListener('mouseleave', () => {
+                if (!this.data.highlightPinned && this.data.highlightedToken !== null) {
+                    state.setData({ highlightedToken: null });
+                }
+            });
+            this.list.addEventListener('click', e => {
+                const index = tokenIndexOfElement(e.target);
+                if (index === null) {
+                    return;
+                }
+                const unpin = this.data.highlightPinned && this.data.highlightedToken === index;
+                state.setData({ highlightedToken: index, highlightPinned: !unpin });
+            });
+
+            appEl.append(this.mountNode);
+        },
+        mountAndUpdate({ data }) {
+            const { tokens, highlightedToken, highlightPinned } = data;
+            const source = data.currentSource;
+
+            // Stepping only appends tokens, so when everything drawn is still there only the new
+            // ones are built. Anything else, like going back, a new source, or restoring a share
+            // link, starts the list over.
+            const appended = source === this.drawnSource
+                && this.drawnTokens.length <= tokens.length
+                && this.drawnTokens.every((token, index) => token === tokens[index]);
+            if (!appended) {
+                this.list.innerHTML = '';
+            }
+            for (let index = this.list.children.length; index < tokens.length; index++) {
+                this.list.append(createTokenEntry(source, tokens[index], index));
+            }
+            this.drawnTokens = tokens;
+            this.drawnSource = source;
+
+            for (let li of this.list.children) {
+                const isHighlighted = Number(li.dataset.tokenIndex) === highlightedToken;
+                li.classList.toggle('highlighted', isHighlighted);
+                li.classList.toggle('pinned', isHighlighted && highlightPinned);
+            }
+        }
+    };
+
+    state.subscribe(
+        obj,
+        ['tokens', 'highlightedToken', 'highlightPinned', 'currentSource'],
+        { name: 'TokenStream', pages: ['lexing', 'parsing'] }
+    );
+}
+
+/// The stepper's buttons. Every step is recorded in `lexHistory`, so stepping backwards restores
+/// the exact lexer state from before, rather than re-lexing from the start.
+///
+/// Each button has a shortcut key, like a video player's frame stepping: `,` and `.` step back and
+/// forward a character, `<` and `>` a token, and `r` resets.
+function LexerControls() {
+    // The current scheme is to create a new onClick function every update. An alternative would be
+    // to query the *current* state in this function, meaning it would not have to be updated.
+    //
+    // However, I'd need to work out if that is actually safe. Currently, data is updated in a
+    // regimented way, and components only access data they are subscribed to. This is probably a
+    // good thing.
+
+    function createButton(text) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        return button;
+    }
+
+    const shortcutKeys = {
+        previousToken: '<',
+        previousChar: ',',
+        nextChar: '.',
+        nextToken: '>',
+        reset: 'r',
+    };
+
+    function shortcutTitle(name) {
+        return shortcutKeys[name] ? `shortcut: ${shortcutKeys[name].toUpperCase()}` : '';
+    }
+
+    const obj = {
+        mountNode: document.createElement('div'),
+        buttons: {
+            previousToken: createButton('Previous Token'),
+            previousChar: createButton('Previous Char'),
+            nextChar: createButton('Next Char'),
+            nextToken: createButton('Next Token'),
+            runToEnd: createButton('Run to End'),
+            reset: createButton('Reset'),
+        },
+        help: document.createElement('div'),
+        // Presses the button for a shortcut key. Disabled buttons ignore the click, so shortcuts
+        // are blocked whenever their buttons are.
+        onKeyDown(e) {
+            if (!isShortcut(e, this.mountNode)) {
+                return;
+            }
+            const name = Object.keys(shortcutKeys).find(name => shortcutKeys[name] === e.key.toLowerCase());
+            if (name) {
+                e.preventDefault();
+                this.buttons[name].click();
+            }
+        },
+        mount() {
+            this.mountNode.className = 'lexer-controls';
+            for (let name in shortcutKeys) {
+                this.buttons[name].title = shortcutTitle(name);
+                this.buttons[name].setAttribute('aria-keyshortcuts', shortcutKeys[name].toUpperCase());
+            }
+            this.help.className = 'lexer-shortcuts';
+            this.help.textContent = 'Keys: , and . step a character, < and > a token, Space plays or pauses, R resets. '
+                + 'In the characters, arrow keys move and Enter toggles a breakpoint.';
+            this.mountNode.append(...Object.values(this.buttons), this.help);
+            appEl.append(this.mountNode);
+
+            this.onKeyDown = this.onKeyDown.bind(this);
+            document.addEventListener('keydown', this.onKeyDown);
+        },
+        unmount() {
+            document.removeEventListener('keydown', this.onKeyDown);
+        },
+        mountAndUpdate({ data }) {
+            const { previousToken, previousChar, nextChar, nextToken, runToEnd, reset } = this.buttons;
+            const source = data.currentSource;
+            const lex = lexStateFromData(data);
+            const history = data.lexHistory;
+            const recovery = data.recoveryStrategy;
+            const decision = nextLexDecision(source, data.tokenRules, lex, { recovery });
+
+            const run = (stop) => {
+                const result = runLexer(source, data.tokenRules, lex, history, { breakpoints: data.breakpoints, stop, recovery });
+                state.setData({ ...lexStateToData(result.lex), lexHistory: result.history, lexingStarted: true });
+            };
+            const rewind = (steps) => {
+                const at = history.length - steps;
+                state.setData({ ...lexStateToData(history[at]), lexHistory: history.slice(0, at) });
+            };
+
+            nextChar.onclick = () => run(() => true);
+            nextToken.onclick = () => run((prev, next) => next.tokens.length > prev.tokens.length);
+            runToEnd.onclick = () => run(() => false);
+            previousChar.onclick = () => rewind(1);
+            previousToken.onclick = () => rewind(stepsBackToTokenStart(lex, history));
+            reset.onclick = () => state.setData(resetLexData());
+
+            let forwardBlocked = null;
+            if (decision.type === 'stuck') {
+                forwardBlocked = 'the current character does not satisfy any rules';
+            } else if (lex.done) {
+                forwardBlocked = 'the whole example has been lexed';
+            }
+            for (let name of ['nextChar', 'nextToken', 'runToEnd']) {
+                this.buttons[name].title = forwardBlocked || shortcutTitle(name);
+                this.buttons[name].disabled = forwardBlocked !== null;
+            }
+            for (let button of [previousChar, previousToken]) {
+                button.disabled = history.length === 0;
+            }
+            reset.disabled = !data.lexingStarted;
+        }
+    };
+
+    state.subscribe(
+        obj,
+        [...lexFields, 'lexHistory', 'breakpoints', 'lexingStarted', 'tokenRules', 'recoveryStrategy'],
+        { name: 'LexerControls', accesses: ['currentSource'], pages: ['lexing'] }
+    );
+}
+
+/// Steps the lexer on its own at `playSpeed` steps a second, pausing wherever a person would want
+/// to look: breakpoints, errors, and places where no rule matches. Space or `k` plays and pauses.
+function Autoplay() {
+    const obj = {
+        mountNode: document.createElement('div'),
+        playButton: document.createElement('button'),
+        speedSlider: document.createElement('input'),
+        speedLabel: document.createElement('span'),
+        // Timestamp of the frame the last step was taken in, or null while paused.
+        lastStepAt: null,
+        onKeyDown(e) {
+            if (isShortcut(e, this.mountNode) && (e.key === ' ' || e.key.toLowerCase() === 'k')) {
+                e.preventDefault();
+                this.playButton.click();
+            }
+        },
+        mount() {
+            this.mountNode.className = 'autoplay';
+
+            this.playButton.onclick = () => state.setData({ playing: !this.data.playing });
+            this.playButton.title = 'shortcut: Space or K';
+            this.playButton.setAttribute('aria-keyshortcuts', 'Space K');
+            this.onKeyDown = this.onKeyDown.bind(this);
+            document.addEventListener('keydown', this.onKeyDown);
+
+            this.speedSlider.type = 'range';
+            this.speedSlider.min = 1;
+            this.speedSlider.max = 60;
+            this.speedSlider.title = 'steps per second';
+            this.speedSlider.oninput = e => state.setData({ playSpeed: Number(e.target.value) });
+
+            this.mountNode.append(this.playButton, this.speedSlider, this.speedLabel);
+            appEl.append(this.mountNode);
+
+            this.stopTicking = state.onFrame(timestamp => this.tick(timestamp));
+        },
+        unmount() {
+            this.stopTicking();
+            document.removeEventListener('keydown', this.onKeyDown);
+        },
+        mountAndUpdate({ data }) {
+            const source = data.currentSource;
+            const lex = lexStateFromData(data);
+            const decision = nextLexDecision(source, data.tokenRules, lex, { recovery: data.recoveryStrategy });
+            const blocked = lex.done || decision.type === 'stuck';
+
+            this.playButton.textContent = data.playing ? 'Pause' : 'Play';
+            this.playButton.disabled = !data.playing && blocked;
+            this.speedSlider.value = data.playSpeed;
+            this.speedLabel.textContent = `${data.playSpeed} steps/s`;
+        },
+        // Runs every animation frame. `this.data` always reads the latest state, so there's no
+        // need to wait for an update to see what changed. Returns whether it needs another frame.
+        tick(timestamp) {
+            const { playing, playSpeed } = this.data;
+            if (!playing) {
+                this.lastStepAt = null;
+                return false;
+            }
+            if (this.lastStepAt === null) {
+                this.lastStepAt = timestamp;
+                return true;
+            }
+
+            // At high speeds more than one step fits in a frame.
+            const interval = 1000 / playSpeed;
+            const steps = Math.floor((timestamp - this.lastStepAt) / interval);
+            if (steps === 0) {
+                return true;
+            }
+            this.lastStepAt += steps * interval;
+
+            const { tokenRules, breakpoints, lexHistory, recoveryStrategy } = this.data;
+            const source = this.data.currentSource;
+            let taken = 0;
+            const result = runLexer(source, tokenRules, lexStateFromData(this.data), lexHistory, {
+                breakpoints,
+                stop: () => ++taken >= steps,
+                recovery: recoveryStrategy,
+                pauseOnError: true,
+            });
+
+            state.setData({
+                ...lexStateToData(result.lex),
+                lexHistory: result.history,
+                lexingStarted: true,
+                playing: result.stoppedBy === 'stop',
+            });
+            return result.stoppedBy === 'stop';
+        },
+    };
+
+    state.subscribe(
+        obj,
+        ['playing', 'playSpeed', ...lexFields, 'tokenRules', 'recoveryStrategy'],
+        { name: 'Autoplay', accesses: ['currentSource', 'breakpoints', 'lexHistory'], pages: ['lexing'] }
+    );
+}
+
+/// Saves the workspace to localStorage whenever it changes. It's restored by `restoreWorkspace`
+/// before the app starts.
+function WorkspaceStorage() {
+    const obj = {
+        mount() { },
+        update({ data }) {
+            try {
+                localStorage.setItem(workspaceStorageKey, JSON.stringify(workspaceFromData(data)));
+            } catch (e) {
+                console.warn(`couldn't save the workspace: ${e.message}`);
+            }
+        }
+    };
+
+    state.subscribe(obj, ['codeExamples', 'selectedCodeExample', 'tokenRules', 'grammar'], { name: 'WorkspaceStorage' });
+}
+
+/// Has the browser download `text` as a file.
+function downloadFile(filename, text, type) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type }));
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/// Exports the workspace as a JSON file, and imports one, so a lexer definition can be shared.
+function WorkspaceFile() {
+    const obj = {
+        mountNode: document.createElement('div'),
+        exportButton: document.createElement('button'),
+        importButton: document.createElement('button'),
+        fileInput: document.createElement('input'),
+        message: document.createElement('span'),
+        mount() {
+            this.mountNode.className = 'workspace-file';
+
+            this.exportButton.textContent = 'Export Workspace';
+            this.exportButton.onclick = () => {
+                const json = JSON.stringify(workspaceFromData(this.data), null, 2);
+                downloadFile('vizparse-workspace.json', json, 'application/json');
+            };
+
+            // The file input is ugly, so a normal button opens it instead.
+            this.fileInput.type = 'file';
+            this.fileInput.accept = '.json,application/json';
+            this.fileInput.hidden = true;
+            this.fileInput.onchange = async (e) => {
+                const [file] = e.target.files;
+                e.target.value = '';
+                if (!file) {
+                    return;
+                }
+                try {
+                    const workspace = workspaceToData(JSON.parse(await file.text()));
+                    state.setData({ ...workspace, ...resetLexData(), breakpoints: [] });
+                    this.message.textContent = `imported ${file.name}`;
+                } catch (err) {
+                    this.message.textContent = `couldn't import ${file.name}: ${err.message}`;
+                }
+            };
+            this.importButton.textContent = 'Import Workspace';
+            this.importButton.onclick = () => this.fileInput.click();
+
+            this.mountNode.append(this.exportButton, this.importButton, this.fileInput, this.message);
+            appEl.append(this.mountNode);
+        },
+    };
+
+    state.subscribe(obj, [], { name: 'WorkspaceFile', accesses: ['codeExamples', 'selectedCodeExample', 'tokenRules', 'grammar'], pages: ['source'] });
+}
+
+/// Copies a link that opens the current example, rules and lexer position for whoever follows it,
+/// such as someone asked to look at a lexing bug. See `encodeShareHash`. Where the clipboard can't
+/// be written to, the link is shown for copying by hand.
+function ShareLink() {
+    const obj = {
+        mountNode: document.createElement('div'),
+        copyButton: document.createElement('button'),
+        linkField: document.createElement('input'),
+        message: document.createElement('span'),
+        mount() {
+            this.mountNode.className = 'share-link';
+
+            this.copyButton.textContent = 'Copy Link';
+            this.copyButton.title = 'Copy a link to this example, its rules and the lexer position';
+            this.copyButton.onclick = () => this.copyLink();
+
+            this.linkField.readOnly = true;
+            this.linkField.hidden = true;
+            this.linkField.setAttribute('aria-label', 'Share link');
+            this.linkField.onfocus = () => this.linkField.select();
+
+            this.mountNode.append(this.copyButton, this.message, this.linkField);
+            appEl.append(this.mountNode);
+        },
+        async copyLink() {
+            let url;
+            try {
+                url = `${window.location.href.split('#')[0]}${await encodeShareHash(this.data)}`;
+            } catch (e) {
+                this.message.textContent = `couldn't make a link: ${e.message}`;
+                return;
+            }
+
+            try {
+                await navigator.clipboard.writeText(url);
+                this.linkField.hidden = true;
+                this.message.textContent = `link copied (${url.length} characters)`;
+            } catch (_e) {
+                this.linkField.value = url;
+                this.linkField.hidden = false;
+                this.linkField.focus();
+                this.message.textContent = 'copy this link: ';
+            }
+        },
+    };
+
+    state.subscribe(
+        obj,
+        [],
+        {
+            name: 'ShareLink',
+            accesses: ['currentSource', 'selectedCodeExample', 'tokenRules', 'recoveryStrategy', 'currentCharIndex', 'lexHistory'],
+            pages: ['source', 'lexing'],
+        }
+    );
+}
+
+/// Lists what the lexer had to recover from, and picks how it recovers.
+function LexerErrors() {
+    const strategyNames = {
+        'error-token': 'emit an ERROR token',
+        'skip-char': 'skip the character',
+        'skip-to-whitespace': 'skip to the next whitespace',
+    };
+
+    const obj = {
+        mountNode: document.createElement('div'),
+        strategyField: document.createElement('select'),
+        list: document.createElement('ul'),
+        mount() {
+            this.mountNode.className = 'lexer-errors';
+
+            const label = document.createElement('label');
+            label.textContent = 'When no rule matches: ';
+            for (let strategy of recoveryStrategies) {
+                let opt = document.createElement('option');
+                opt.text = strategyNames[strategy];
+                opt.value = strategy;
+                this.strategyField.add(opt);
+            }
+            this.strategyField.onchange = e => state.setData({ recoveryStrategy: e.target.value });
+            label.append(this.strategyField);
+
+            this.mountNode.append(label, this.list);
+            appEl.append(this.mountNode);
+        },
+        mountAndUpdate({ data }) {
+            const source = data.currentSource;
+            this.strategyField.value = data.recoveryStrategy;
+
+            this.list.innerHTML = '';
+            for (let error of data.lexErrors) {
+                const { line, column } = lineColumnAt(source, error.start);
+                const li = document.createElement('li');
+                li.textContent = `${line}:${column}: ${error.reason}`;
+                this.list.append(li);
+            }
+        }
+    };
+
+    state.subscribe(
+        obj,
+        ['lexErrors', 'recoveryStrategy'],
+        { name: 'LexerErrors', accesses: ['currentSource'], pages: ['lexing'] }
+    );
+}
+
+/// Edits the grammar for the parsing stage, listing anything that keeps it from being LL(1).
+function GrammarEditor() {
+    function createItem(text, className) {
+        const li = document.createElement('li');
+        li.className = className;
+        li.textContent = text;
+        return li;
+    }
+
+    // Problems that don't stop the grammar from being used, but probably aren't intended.
+    function grammarWarnings(grammar, tokenRules) {
+        const ruleNames = tokenRules.map(rule => rule.name);
+        const warnings = [];
+        for (let { name, alternatives } of grammar.productions) {
+            for (let alternative of alternatives) {
+                for (let symbol of alternative) {
+                    if (symbol.type === 'token' && !ruleNames.includes(symbol.value)) {
+                        warnings.push(`${name} uses '${symbol.value}', which is neither a nonterminal nor a token rule`);
+                    }
+                }
+            }
+        }
+        for (let name of grammar.ignore) {
+            if (!ruleNames.includes(name)) {
+                warnings.push(`%ignore names '${name}', which isn't a token rule`);
+            }
+        }
+        return warnings;
+    }
+
+    const obj = {
+        mountNode: document.createElement('div'),
+        textArea: document.createElement('textarea'),
+        problems: document.createElement('ul'),
+        mount() {
+            this.mountNode.className = 'grammar-editor';
+
+            const p = document.createElement('p');
+            p.textContent = 'Grammar:';
+
+            this.textArea.className = 'grammar-source';
+            this.textArea.spellcheck = false;
+            this.textArea.rows = 12;
+            this.textArea.cols = 60;
+            // Changing the grammar invalidates the parse, so start it over.
+            this.textArea.onchange = e => state.setData({ grammar: createGrammar(e.target.value), ...resetParseData() });
+
+            this.problems.className = 'grammar-problems';
+            this.mountNode.append(p, this.textArea, this.problems);
+            appEl.append(this.mountNode);
+        },
+        mountAndUpdate({ data }) {
+            const { grammar, tokenRules } = data;
+            if (document.activeElement !== this.textArea) {
+                this.textArea.value = grammar.source;
+            }
+
+            this.problems.innerHTML = '';
+            for (let error of grammar.errors) {
+                this.problems.append(createItem(error, 'grammar-error'));
+            }
+            for (let { nonterminal, key, alternatives } of grammar.conflicts) {
+                const production = grammar.productions.find(production => production.name === nonterminal);
+                const [first, second] = alternatives.map(index => formatAlternative(production.alternatives[index]));
+                this.problems.append(createItem(
+                    `not LL(1): ${nonterminal} -> ${first} and ${nonterminal} -> ${second} both start with ${key}; the first is used`,
+                    'grammar-error'
+                ));
+            }
+            for (let warning of grammarWarnings(grammar, tokenRules)) {
+                this.problems.append(createItem(warning, 'grammar-warning'));
+            }
+        }
+    };
+
+    state.subscribe(obj, ['grammar', 'tokenRules'], { name: 'GrammarEditor', pages: ['parsing'] });
+}
+
+/// The parser's buttons. Like the lexer's, every step is recorded so it can be undone.
+function ParserControls() {
+    function createButton(text) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        return button;
+    }
+
+    const obj = {
+        mountNode: document.createElement('div'),
+        buttons: {
+            previousStep: createButton('Previous Step'),
+            nextStep: createButton('Next Step'),
+            runToEnd: createButton('Parse to End'),
+            reset: createButton('Reset Parse'),
+        },
+        mount() {
+            this.mountNode.className = 'parser-controls';
+            this.mountNode.append(...Object.values(this.buttons));
+            appEl.append(this.mountNode);
+        },
+        mountAndUpdate({ data }) {
+            const { previousStep, nextStep, runToEnd, reset } = this.buttons;
+            const { grammar, parse, parseHistory, lexingDone } = data;
+            const tokens = parserTokens(data.tokens, grammar);
+
+            const run = (stopAfterOne) => {
+                let current = parse;
+                const history = [...parseHistory];
+                while (!current.done && !parseWaitingForTokens(current, tokens, lexingDone)) {
+                    history.push(current);
+                    current = parseStep(grammar, tokens, current);
+                    if (stopAfterOne) {
+                        break;
+                    }
+                }
+                state.setData({ parse: current, parseHistory: history });
+            };
+
+            nextStep.onclick = () => run(true);
+            runToEnd.onclick = () => run(false);
+            previousStep.onclick = () => state.setData({
+                parse: parseHistory[parseHistory.length - 1],
+                parseHistory: parseHistory.slice(0, -1),
+            });
+            reset.onclick = () => state.setData(resetParseData());
+
+            const waiting = parseWaitingForTokens(parse, tokens, lexingDone);
+            for (let button of [nextStep, runToEnd]) {
+                button.disabled = parse.done || waiting;
+                button.title = waiting ? 'waiting for the lexer; lex further to parse on' : '';
+            }
+            previousStep.disabled = parseHistory.length === 0;
+            reset.disabled = parse.stack === null;
+        }
+    };
+
+    state.subscribe(
+        obj,
+        ['grammar', 'parse', 'parseHistory', 'tokens', 'lexingDone'],
+        { name: 'ParserControls', pages: ['parsing'] }
+    );
+}
+
+/// Starts the parse over when the tokens it has read change under it: going back in the lexer,
+/// or DevTools or a share link putting in other tokens. The parse has read its first `position`
+/// tokens and looked ahead at the next, so those must be the same tokens as before. A parse that
+/// ended on running out of tokens only stands if lexing is done.
+function ParseReset() {
+    const obj = {
+        // The tokens as of the last update.
+        tokens: null,
+        mountAndUpdate({ data }) {
+            const { parse, grammar, lexingDone } = data;
+            const previous = this.tokens;
+            this.tokens = data.tokens;
+            if (previous === null || parse.stack === null) {
+                return;
+            }
+
+            const read = parserTokens(previous, grammar).slice(0, parse.position + 1);
+            const tokens = parserTokens(data.tokens, grammar);
+            const changed = read.some((token, index) => token !== tokens[index]);
+            const endedEarly = parse.done && parse.position >= tokens.length && !lexingDone;
+            if (changed || endedEarly) {
+                state.setData(resetParseData());
+            }
+        }
+    };
+
+    state.subscribe(obj, ['tokens', 'lexingDone'], { name: 'ParseReset', accesses: ['parse', 'grammar'] });
+}
+
+/// Describes the parser's stack and lookahead, and what the next step will do with them.
+function ParserStatus() {
+    function describeDecision(grammar, decision) {
+        switch (decision.type) {
+            case 'start':
+                return `push the start symbol ${grammar.start}`;
+            case 'expand': {
+                const production = grammar.productions.find(production => production.name === decision.nonterminal);
+                return `expand ${decision.nonterminal} -> ${formatAlternative(production.alternatives[decision.alternative])}`;
+            }
+            case 'match':
+                return `match ${decision.token.rule} ${JSON.stringify(decision.token.text)}`;
+            case 'accept':
+                return 'accept';
+            case 'error':
+                return `error: ${decision.message}`;
+        }
+    }
+
+    const obj = {
+        mountNode: document.createElement('div'),
+        mount() {
+            this.mountNode.className = 'parser-status';
+            appEl.append(this.mountNode);
+        },
+        mountAndUpdate({ data }) {
+            const { grammar, parse, lexingDone } = data;
+            const tokens = parserTokens(data.tokens, grammar);
+            const lookahead = tokens[parse.position];
+            const stack = parse.stack === null
+                ? '(not started)'
+                : parse.stack.map(entry => formatSymbol(entry.symbol)).reverse().join(' ') || '(empty)';
+
+            let next;
+            if (parse.error) {
+                next = `Failed: ${parse.error}`;
+            } else if (parse.done) {
+                next = 'Accepted';
+            } else if (parseWaitingForTokens(parse, tokens, lexingDone)) {
+                next = 'Waiting for the lexer to get further';
+            } else {
+                next = `Next: ${describeDecision(grammar, nextParseDecision(grammar, tokens, parse))}`;
+            }
+
+            const lines = [
+                `Stack (top first): ${stack}`,
+                `Lookahead: ${lookahead ? `${lookahead.rule} ${JSON.stringify(lookahead.text)}` : '$'}`,
+                next,
+            ];
+            if (!lexingDone) {
+                lines.push(`Lexing isn't finished, so the parser only sees the ${tokens.length} tokens lexed so far`);
+            }
+            this.mountNode.textContent = lines.join(' | ');
+        }
+    };
+
+    state.subscribe(obj, ['grammar', 'parse', 'tokens', 'lexingDone'], { name: 'ParserStatus', pages: ['parsing'] });
+}
+
+/// Grows the parse tree as the parser steps. Hovering a node highlights the source its tokens
+/// cover in the CharacterView.
+function ParseTree() {
+    function createNode(nodes, id, currentNode) {
+        const node = nodes[id];
+        const li = document.createElement('li');
+
+        const label = document.createElement('span');
+        label.className = `parse-node ${node.symbol.type}`;
+        label.dataset.nodeId = id;
+        label.textContent = node.token
+            ? `${formatSymbol(node.symbol)} ${JSON.stringify(node.token.text)}`
+            : formatSymbol(node.symbol);
+        if (id === currentNode) {
+            label.className += ' current';
+        }
+        li.append(label);
+
+        if (node.children.length > 0) {
+            const ul = document.createElement('ul');
+            for (let childId of node.children) {
+                ul.append(createNode(nodes, childId, currentNode));
+            }
+            li.append(ul);
+        }
+        return li;
+    }
+
+    const obj = {
+        mountNode: document.createElement('div'),
+        tree: document.createElement('ul'),
+        mount() {
+            this.mountNode.className = 'parse-tree';
+            const heading = document.createElement('p');
+            heading.textContent = 'Parse tree:';
+            this.mountNode.append(heading, this.tree);
+
+            this.tree.addEventListener('mouseover', e => {
+                const id = e.target.dataset && e.target.dataset.nodeId;
+                if (id !== undefined) {
+                    state.setData({ highlightedSpan: parseNodeSpan(this.data.parse.nodes, Number(id)) });
+                }
+            });
+            this.tree.addEventListener('mouseleave', () => state.setData({ highlightedSpan: null }));
+
+            appEl.append(this.mountNode);
+        },
+        mountAndUpdate({ data }) {
+            const { nodes, stack } = data.parse;
+            // The node on top of the stack is the one the next step works on.
+            const currentNode = stack && stack.length > 0 ? stack[stack.length - 1].node : null;
+
+            this.tree.innerHTML = '';
+            if (nodes.length > 0) {
+                this.tree.append(createNode(nodes, 0, currentNode));
+            }
+        }
+    };
+
+    state.subscribe(obj, ['parse'], { name: 'ParseTree', pages: ['parsing'] });
+}
+
+/// Describes what the lexer is looking at and what the next step will do with it.
+function LexerStatus() {
+    function describeDecision(decision) {
+        switch (decision.type) {
+            case 'extend':
+                return decision.rules.length > 0
+                    ? `'${decision.candidate}' matches ${decision.rules.join(', ')}; keep munching`
+                    : `'${decision.candidate}' could still grow into a match; keep munching`;
+            case 'emit':
+                return `nothing longer matches; emit ${decision.token.rule} '${decision.token.text}'`;
+            case 'recover':
+                return decision.token
+                    ? `${decision.error.reason}; emit ${decision.token.rule} '${decision.token.text}'`
+                    : `${decision.error.reason}; skip '${decision.error.text}'`;
+            case 'stuck':
+                return `no rule matches '${decision.candidate}'`;
+            case 'done':
+                return 'end of input; finish';
+        }
+    }
+
+    // What a screen reader hears after each step: where the lexer is, the candidate, and which
+    // rules match it. The status line has all that too, but is too long to hear every step.
+    function announce(source, rules, lex) {
+        if (lex.done) {
+            return `Finished: ${lex.tokens.length} tokens, ${lex.errors.length} errors.`;
+        }
+        const { line, column } = lineColumnAt(source, lex.current);
+        const candidate = source.slice(lex.start, lex.current);
+        const at = `${describeChar(charAt(source, lex.current))} at line ${line}, column ${column}.`;
+        if (candidate === '') {
+            return `${at} No candidate.`;
+        }
+        const matching = rules.filter(rule => rule.matcher(candidate)).map(rule => rule.name);
+        return `${at} Candidate '${candidate}' matches ${matching.length > 0 ? matching.join(', ') : 'no rule'}.`;
+    }
+
+    const obj = {
+        mountNode: document.createElement('div'),
+        line: document.createElement('div'),
+        announcer: document.createElement('div'),
+        mount() {
+            this.mountNode.className = 'lexer-status';
+            this.announcer.className = 'visually-hidden';
+            this.announcer.setAttribute('role', 'status');
+            this.announcer.setAttribute('aria-live', 'polite');
+            this.mountNode.append(this.line, this.announcer);
+            appEl.append(this.mountNode);
+        },
+        mountAndUpdate({ data }) {
+            const source = data.currentSource;
+            const lex = lexStateFromData(data);
+            const candidate = source.slice(lex.start, lex.current);
+            const lastMatch = lex.lastMatch
+                ? `${lex.lastMatch.rule} '${source.slice(lex.start, lex.lastMatch.end)}'`
+                : 'none';
+
+            this.line.textContent = [
+                `Candidate: '${candidate}'`,
+                `Longest match: ${lastMatch}`,
+                lex.done
+                    ? 'Finished'
+                    : `Next: ${describeDecision(nextLexDecision(source, data.tokenRules, lex, { recovery: data.recoveryStrategy }))}`,
+            ].join(' | ');
+
+            // Only changes are announced, so unrelated updates don't repeat the last one.
+            const announcement = announce(source, data.tokenRules, lex);
+            if (this.announcer.textContent !== announcement) {
+                this.announcer.textContent = announcement;
+            }
+        }
+    };
+
+    state.subscribe(
+        obj,
+        [...lexFields, 'tokenRules', 'currentSource', 'recoveryStrategy'],
+        { name: 'LexerStatus', pages: ['lexing'] }
+    );
+}
+
+/// Draws the DFA of a regex rule as SVG, and follows the candidate through it as the lexer steps:
+/// the state the candidate reached, the transition its last character took, and where the next
+/// character goes, if anywhere. That shows why a lexeme gets accepted or rejected.
+function RuleAutomaton() {
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const stateRadius = 18;
+    const columnWidth = 110;
+    const rowHeight = 80;
+    const margin = 50;
+    const maxLabelLength = 14;
+
+    // DFAs by regex source, so they aren't rebuilt on every step.
+    const dfas = new Map();
+    function dfaFor(rule) {
+        if (!dfas.has(rule.matcherSource)) {
+            try {
+                dfas.set(rule.matcherSource, { dfa: regexToDfa(rule.matcherSource), error: null });
+            } catch (e) {
+                dfas.set(rule.matcherSource, { dfa: null, error: e.message });
+            }
+        }
+        return dfas.get(rule.matcherSource);
+    }
+
+    // Following the lexer, draw the rule that's likeliest to explain its next step: one the
+    // candidate and the next character can still get through, preferring the longest match so far.
+    function followedRule(rules, candidate, next, lastMatch) {
+        const regexRules = rules.filter(rule => rule.matcherType === 'regex' && !rule.matcherError);
+        const survives = (rule, text) => {
+            const { dfa } = dfaFor(rule);
+            return dfa !== null && runDfa(dfa, text).rejectedAt === null;
+        };
+        const matched = regexRules.find(rule => lastMatch && rule.name === lastMatch.rule);
+        const candidates = [
+            matched && survives(matched, candidate + next) ? matched : null,
+            regexRules.find(rule => survives(rule, candidate + next)),
+            matched,
+            regexRules.find(rule => survives(rule, candidate)),
+            regexRules[0],
+        ];
+        return candidates.find(rule => rule) || null;
+    }
+
+    function svgElement(tag, attributes) {
+        const el = document.createElementNS(svgNs, tag);
+        for (let [name, value] of Object.entries(attributes)) {
+            el.setAttribute(name, value);
+        }
+        return el;
+    }
+
+    function showChar(char) {
+        return JSON.stringify(char).slice(1, -1);
+    }
+
+    // States go in columns by their breadth-first distance from the start state.
+    function layoutStates(dfa) {
+        const depths = [0];
+        const order = [dfa.start];
+        for (let j = 0; j < order.length; j++) {
+            for (let { to } of dfa.states[order[j]].edges) {
+                if (depths[to] === undefined) {
+                    depths[to] = depths[order[j]] + 1;
+                    order.push(to);
+                }
+            }
+        }
+        const columns = [];
+        for (let id of order) {
+            (columns[depths[id]] = columns[depths[id]] || []).push(id);
+        }
+        const positions = [];
+        columns.forEach((column, depth) => column.forEach((id, row) => {
+            positions[id] = { x: margin + depth * columnWidth, y: margin + row * rowHeight };
+        }));
+        return {
+            positions,
+            width: 2 * margin + (columns.length - 1) * columnWidth,
+            height: 2 * margin + (Math.max(...columns.map(column => column.length)) - 1) * rowHeight,
+        };
+    }
+
+    // A curved edge between two states, bending more the further it goes so that edges skipping
+    // over states don't run through them. Edges in opposite directions bend to opposite sides.
+    function edgeGeometry(from, to) {
+        if (from === to) {
+            const { x, y } = from;
+            return {
+                path: `M ${x - 8} ${y - stateRadius + 2} C ${x - 30} ${y - 65}, ${x + 30} ${y - 65}, ${x + 8} ${y - stateRadius + 2}`,
+                label: { x, y: y - 56 },
+            };
+        }
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.hypot(dx, dy);
+        const bend = 16 + length * 0.12;
+        const control = { x: (from.x + to.x) / 2 - dy / length * bend, y: (from.y + to.y) / 2 + dx / length * bend };
+        const toward = (point, target, distance) => {
+            const len = Math.hypot(target.x - point.x, target.y - point.y);
+            return {
+                x: point.x + (target.x - point.x) / len * distance,
+                y: point.y + (target.y - point.y) / len * distance,
+            };
+        };
+        const start = toward(from, control, stateRadius);
+        const end = toward(to, control, stateRadius + 2);
+        return {
+            path: `M ${start.x} ${start.y} Q ${control.x} ${control.y} ${end.x} ${end.y}`,
+            label: {
+                x: (start.x + 2 * control.x + end.x) / 4,
+                y: (start.y + 2 * control.y + end.y) / 4 - 4,
+            },
+        };
+    }
+
+    const obj = {
+        mountNode: document.createElement('div'),
+        ruleField: document.createElement('select'),
+        message: document.createElement('div'),
+        picture: document.createElement('div'),
+        // What's drawn: the regex source, and the elements of each state and edge to highlight.
+        drawn: null,
+        mount() {
+            this.mountNode.className = 'rule-automaton';
+            this.message.className = 'rule-automaton-message';
+            this.picture.className = 'rule-automaton-picture';
+
+            const label = document.createElement('label');
+            label.textContent = 'Automaton for: ';
+            this.ruleField.onchange = e => state.setData({
+                automatonRule: e.target.value === '' ? null : Number(e.target.value),
+            });
+            label.append(this.ruleField);
+
+            this.mountNode.append(label, this.message, this.picture);
+            appEl.append(this.mountNode);
+        },
+        mountAndUpdate({ data }) {
+            const rules = data.tokenRules;
+            const source = data.currentSource;
+            const candidate = source.slice(data.tokenStart, data.currentCharIndex);
+            const next = charAt(source, data.currentCharIndex);
+
+            const chosen = rules[data.automatonRule];
+            const following = !chosen || chosen.matcherType !== 'regex';
+            const rule = following ? followedRule(rules, candidate, next, data.lastMatch) : chosen;
+            this.syncRuleField(rules, following ? '' : String(data.automatonRule));
+
+            if (!rule) {
+                this.message.textContent = 'No regex rules to draw.';
+                this.draw(null, null);
+                return;
+            }
+            const { dfa, error } = rule.matcherError ? { dfa: null, error: rule.matcherError } : dfaFor(rule);
+            this.draw(rule, dfa);
+            if (!dfa) {
+                this.message.textContent = `${rule.name}: can't draw /${rule.matcherSource}/: ${error}`;
+                return;
+            }
+
+            const { path, rejectedAt } = runDfa(dfa, candidate);
+            const current = path[path.length - 1];
+            const describe = (id) => `state ${id}${dfa.states[id].accepting ? ' (accepting)' : ''}`;
+            let lines = [`${rule.name}: after '${showChar(candidate)}', ${describe(current)}`];
+            let nextState = null;
+            if (rejectedAt !== null) {
+                lines = [`${rule.name}: no transition on '${showChar(candidate[rejectedAt])}' from ${describe(current)}, so '${showChar(candidate)}' is rejected`];
+            } else if (next !== '') {
+                const ahead = runDfa(dfa, candidate + next);
+                nextState = ahead.rejectedAt === null ? ahead.path[ahead.path.length - 1] : null;
+                lines.push(nextState !== null
+                    ? `next '${showChar(next)}' goes to ${describe(nextState)}`
+                    : `no transition on the next '${showChar(next)}', so '${showChar(candidate + next)}' is rejected`);
+            }
+            this.message.textContent = lines.join('; ');
+
+            this.highlight({
+                current,
+                // Stopping in an accepting state is a match, not a dead end.
+                stuck: rejectedAt !== null || (next !== '' && nextState === null && !dfa.states[current].accepting),
+                taken: candidate.length > 0 && rejectedAt === null ? [path[path.length - 2], current] : null,
+                next: nextState !== null ? [current, nextState] : null,
+            });
+        },
+        syncRuleField(rules, value) {
+            const options = [['', 'the rule being matched'], ...rules
+                .map((rule, i) => [String(i), `${rule.name} /${rule.matcherSource}/`, rule.matcherType])
+                .filter(([, , type]) => type === 'regex')];
+            const key = JSON.stringify(options);
+            if (this.ruleField.dataset.options !== key) {
+                this.ruleField.innerHTML = '';
+                for (let [optionValue, text] of options) {
+                    const opt = document.createElement('option');
+                    opt.value = optionValue;
+                    opt.text = text;
+                    this.ruleField.add(opt);
+                }
+                this.ruleField.dataset.options = key;
+            }
+            this.ruleField.value = value;
+        },
+        // Redraws only when the rule's regex changes.
+        draw(rule, dfa) {
+            const source = rule && dfa ? rule.matcherSource : null;
+            if (this.drawn && this.drawn.source === source) {
+                return;
+            }
+            this.picture.innerHTML = '';
+            this.drawn = { source, stateEls: [], edgeEls: new Map() };
+            if (!dfa) {
+                return;
+            }
+
+            const { positions, width, height } = layoutStates(dfa);
+            const svg = svgElement('svg', { width, height, viewBox: `0 0 ${width} ${height}`, role: 'img' });
+            svg.setAttribute('aria-label', `DFA for ${rule.name} with ${dfa.states.length} states`);
+            const defs = svgElement('defs', {});
+            const marker = svgElement('marker', {
+                id: 'rule-automaton-arrow', viewBox: '0 0 10 10', refX: 9, refY: 5,
+                markerWidth: 7, markerHeight: 7, orient: 'auto-start-reverse',
+            });
+            marker.append(svgElement('path', { d: 'M 0 0 L 10 5 L 0 10 z', class: 'rule-automaton-arrowhead' }));
+            defs.append(marker);
+            svg.append(defs);
+
+            // An arrow into the start state.
+            const start = positions[dfa.start];
+            svg.append(svgElement('path', {
+                d: `M ${start.x - stateRadius - 28} ${start.y} L ${start.x - stateRadius - 2} ${start.y}`,
+                class: 'rule-automaton-edge',
+                'marker-end': 'url(#rule-automaton-arrow)',
+            }));
+
+            for (let state of dfa.states) {
+                for (let edge of state.edges) {
+                    const { path, label } = edgeGeometry(positions[state.id], positions[edge.to]);
+                    const g = svgElement('g', { class: 'rule-automaton-transition' });
+                    const fullLabel = formatRanges(edge.ranges);
+                    const text = svgElement('text', { x: label.x, y: label.y, 'text-anchor': 'middle' });
+                    text.textContent = fullLabel.length > maxLabelLength
+                        ? `${fullLabel.slice(0, maxLabelLength - 1)}…`
+                        : fullLabel;
+                    const title = svgElement('title', {});
+                    title.textContent = `${state.id} → ${edge.to} on ${fullLabel}`;
+                    g.append(
+                        title,
+                        svgElement('path', { d: path, class: 'rule-automaton-edge', 'marker-end': 'url(#rule-automaton-arrow)' }),
+                        text
+                    );
+                    svg.append(g);
+                    this.drawn.edgeEls.set(`${state.id}>${edge.to}`, g);
+                }
+            }
+
+            for (let state of dfa.states) {
+                const { x, y } = positions[state.id];
+                const g = svgElement('g', { class: `rule-automaton-state${state.accepting ? ' accepting' : ''}` });
+                g.append(svgElement('circle', { cx: x, cy: y, r: stateRadius }));
+                if (state.accepting) {
+                    g.append(svgElement('circle', { cx: x, cy: y, r: stateRadius - 4 }));
+                }
+                const text = svgElement('text', { x, y: y + 4, 'text-anchor': 'middle' });
+                text.textContent = state.id;
+                g.append(text);
+                svg.append(g);
+                this.drawn.stateEls[state.id] = g;
+            }
+
+            this.picture.append(svg);
+        },
+        highlight({ current, stuck, taken, next }) {
+            for (let el of [...this.drawn.stateEls, ...this.drawn.edgeEls.values()]) {
+                el.classList.remove('current', 'stuck', 'taken', 'next');
+            }
+            this.drawn.stateEls[current].classList.add(stuck ? 'stuck' : 'current');
+            if (taken) {
+                this.drawn.edgeEls.get(taken.join('>')).classList.add('taken');
+            }
+            if (next) {
+                this.drawn.edgeEls.get(next.join('>')).classList.add('next');
+            }
+        }
+    };
+
+    state.subscribe(
+        obj,
+        ['tokenRules', 'automatonRule', 'currentSource', 'tokenStart', 'currentCharIndex', 'lastMatch'],
+        { name: 'RuleAutomaton', pages: ['lexing'] }
+    );
+}
+
+function ExampleSwitcher() {
+    // implementation notes:
+
+    // Options use the example's name as their value as-is. We never look options up with an
+    // attribute selector, so any string works, including ones `btoa` can't encode (anything outside
+    // Latin-1). Rather than diffing options against the examples, the whole list is rebuilt whenever
+    // the names change, so deleted and renamed examples can't linger.
+
+    function codeExamplesToDomOptions(examples, selectEl) {
+        const names = Object.keys(examples);
+        const current = Array.from(selectEl.options, opt => opt.value);
+        if (names.length === current.length && names.every((name, i) => name === current[i])) {
+            return;
+        }
+
+        selectEl.innerHTML = '';
+        for (let name of names) {
+            let opt = document.createElement('option');
+            opt.text = name;
+            opt.value = name;
+            selectEl.add(opt);
+        }
+    }
+
+    // Returns why `name` can't be used for a new example, or null if it can.
+    function invalidExampleName(name, examples) {
+        if (name.trim() === '') {
+            return 'example names cannot be blank';
+        } else if (Object.prototype.hasOwnProperty.call(examples, name)) {
+            return `there is already an example called '${name}'`;
+        }
+        return null;
+    }
+
+    function promptForName(message, defaultName, examples) {
+        const name = window.prompt(message, defaultName);
+        if (name === null) {
+            return null;
+        }
+        const problem = invalidExampleName(name, examples);
+        if (problem) {
+            window.alert(problem);
+            return null;
+        }
+        return name;
+    }
+
+    function createButton(text, onclick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.onclick = onclick;
+        return button;
+    }
+
+    const obj = {
+        mountNode: document.createElement('div'),
+        selectField: document.createElement('select'),
+        deleteButton: null,
+        mount() {
+            this.mountNode.className = 'example-switcher';
+            this.mountNode.append(this.selectField);
+
+            // Update the selected example in state on select-field change, clearing the current
+            // lexing progress.
+            this.selectField.onchange = (e) => {
+                state.setData(selectExampleData(e.currentTarget.value));
+            };
+
+            this.deleteButton = createButton('Delete', () => this.deleteExample());
+            this.mountNode.append(
+                createButton('New', () => this.newExample()),
+                createButton('Rename', () => this.renameExample()),
+                createButton('Duplicate', () => this.duplicateExample()),
+                this.deleteButton,
+            );
+
+            appEl.append(this.mountNode);
+        },
+        mountAndUpdate() {
+            const { codeExamples, selectedCodeExample } = this.data;
+            codeExamplesToDomOptions(codeExamples, this.selectField);
+            this.selectField.value = selectedCodeExample;
+            this.deleteButton.disabled = Object.keys(codeExamples).length <= 1;
+        },
+        newExample() {
+            const { codeExamples } = this.data;
+            const name = promptForName('Name of the new example:', '', codeExamples);
+            if (name !== null) {
+                state.setData({ codeExamples: { ...codeExamples, [name]: '' }, ...selectExampleData(name) });
+            }
+        },
+        renameExample() {
+            const { codeExamples, selectedCodeExample } = this.data;
+            const name = promptForName(`Rename '${selectedCodeExample}' to:`, selectedCodeExample, codeExamples);
+            if (name !== null) {
+                // Rebuild the object rather than deleting and re-adding, so the example keeps its
+                // place in the list.
+                const renamed = Object.fromEntries(Object.entries(codeExamples).map(
+                    ([key, code]) => [key === selectedCodeExample ? name : key, code]
+                ));
+                // The text hasn't changed, so neither has the lexer's progress through it.
+                state.setData({ codeExamples: renamed, selectedCodeExample: name });
+            }
+        },
+        duplicateExample() {
+            const { codeExamples, selectedCodeExample } = this.data;
+            let name = `${selectedCodeExample} copy`;
+            for (let n = 2; Object.prototype.hasOwnProperty.call(codeExamples, name); n++) {
+                name = `${selectedCodeExample} copy ${n}`;
+            }
+            state.setData({
+                codeExamples: { ...codeExamples, [name]: codeExamples[selectedCodeExample] },
+                ...selectExampleData(name),
+            });
+        },
+        deleteExample() {
+            const { codeExamples, selectedCodeExample } = this.data;
+            const names = Object.keys(codeExamples);
+            if (names.length <= 1 || !window.confirm(`Delete the example '${selectedCodeExample}'?`)) {
+                return;
+            }
+
+            // Select whichever example now sits where the deleted one was.
+            const index = names.indexOf(selectedCodeExample);
+            const remaining = Object.fromEntries(
+                Object.entries(codeExamples).filter(([key]) => key !== selectedCodeExample)
+            );
+            const remainingNames = Object.keys(remaining);
+            state.setData({
+                codeExamples: remaining,
+                ...selectExampleData(remainingNames[Math.min(index, remainingNames.length - 1)]),
+            });
+        },
+    };
+
+    state.subscribe(obj, ['codeExamples', 'selectedCodeExample'], { name: 'ExampleSwitcher' });
+}
+
+function RuleSpace() {
+    // Rows are keyed by position: row `i` always edits rule `i`. Reordering or editing a rule just
+    // re-syncs the values of the existing rows, which keeps focus in whatever input the user moved
+    // to. Rows are only rebuilt when the number of rules changes.
+
+    function replaceRule(rules, index, changes) {
+        const rule = rules[index];
+        const updated = createTokenRule({ ...rule, ...changes });
+        return rules.map((r, i) => i === index ? updated : r);
+    }
+
+    function moveRule(rules, from, to) {
+        if (to < 0 || to >= rules.length) {
+            return rules;
+        }
+        const moved = [...rules];
+        const [rule] = moved.splice(from, 1);
+        moved.splice(to, 0, rule);
+        return moved;
+    }
+
+    // Only touch inputs the user isn't currently typing into.
+    function setValue(input, value) {
+        if (document.activeElement !== input && input.value !== value) {
+            input.value = value;
+        }
+    }
+
+    function linesOf(text) {
+        return text.split('\n').filter(line => line.length > 0);
+    }
+
+    // A green or red badge per example. Counter-examples are marked with a '¬'.
+    function createBadges(results, isCounterExample) {
+        return results.map(({ example, passed }) => {
+            const badge = document.createElement('span');
+            badge.className = `badge ${passed ? 'pass' : 'fail'}`;
+            badge.textContent = isCounterExample ? `¬${JSON.stringify(example)}` : JSON.stringify(example);
+            badge.title = isCounterExample
+                ? (passed ? 'correctly not matched' : 'matched, but must not be')
+                : (passed ? 'matched' : 'not matched, but must be');
+            return badge;
+        });
+    }
+
+    const obj = {
+        mountNode: document.createElement('div'),
+        ruleArea: document.createElement('div'),
+        warnings: document.createElement('ul'),
+        addButton: document.createElement('button'),
+        specMessage: document.createElement('div'),
+        mount() {
+            const p = document.createElement('p');
+            p.textContent = `
+                Rulespace:
+            `;
+            this.mountNode.append(p);
+
+            this.ruleArea.className = 'rule-area';
+            this.mountNode.append(this.ruleArea);
+
+            this.warnings.className = 'rule-warnings';
+            this.mountNode.append(this.warnings);
+
+            this.addButton.textContent = 'Add Rule';
+            this.addButton.onclick = () => {
+                const rules = this.data.tokenRules;
+                const rule = createTokenRule({
+                    name: `rule${rules.length + 1}`,
+                    matcherType: 'regex',
+                    matcherSource: '',
+                    examples: [],
+                });
+                state.setData({ tokenRules: [...rules, rule] });
+            };
+            this.mountNode.append(this.addButton);
+
+            // Rules can come from flex and moo specs, and leave as a lexer module; see specs.js.
+            const specs = document.createElement('div');
+            specs.className = 'rule-specs';
+            const fileInput = document.createElement('input');
+            fileInput.type = 'file';
+            fileInput.accept = '.l,.lex,.flex,.js,.mjs,.txt';
+            fileInput.hidden = true;
+            fileInput.onchange = async (e) => {
+                const [file] = e.target.files;
+                e.target.value = '';
+                if (file) {
+                    this.importSpec(file.name, await file.text());
+                }
+            };
+            const importButton = document.createElement('button');
+            importButton.textContent = 'Import Rules';
+            importButton.title = 'Replace the rules with those of a flex (.l) or moo spec';
+            importButton.onclick = () => fileInput.click();
+
+            const exportButton = document.createElement('button');
+            exportButton.textContent = 'Export Lexer Module';
+            exportButton.onclick = () => {
+                downloadFile('vizparse-lexer.mjs', exportLexerModule(this.data.tokenRules), 'text/javascript');
+            };
+
+            this.specMessage.className = 'rule-spec-message';
+            specs.append(importButton, exportButton, fileInput, this.specMessage);
+            this.mountNode.append(specs);
+
+            appEl.append(this.mountNode);
+        },
+        mountAndUpdate() {
+            const { tokenRules } = this.data;
+            if (this.ruleArea.children.length !== tokenRules.length) {
+                this.ruleArea.innerHTML = '';
+                tokenRules.forEach((_rule, index) => this.ruleArea.append(this.buildRuleRow(index)));
+            }
+            tokenRules.forEach((rule, index) => this.syncRuleRow(this.ruleArea.children[index], rule));
+
+            this.warnings.innerHTML = '';
+            for (let { example, rules } of findAmbiguousExamples(tokenRules)) {
+                const li = document.createElement('li');
+                li.textContent = `${JSON.stringify(example)} is matched by ${rules.join(', ')}; ${rules[0]} wins`;
+                this.warnings.append(li);
+            }
+        },
+        // Asks before importing, as a moo spec is JavaScript that runs as it's read.
+        importSpec(filename, text) {
+            const warning = isFlexSpec(text)
+                ? ''
+                : ` It's read as a moo spec, which is JavaScript that will run in this page, so only import files you trust.`;
+            if (!window.confirm(`Replace the ${this.data.tokenRules.length} current rules with those in ${filename}?${warning}`)) {
+                return;
+            }
+            let imported;
+            try {
+                imported = importTokenSpec(text);
+            } catch (e) {
+                this.specMessage.textContent = `couldn't import ${filename}: ${e.message}`;
+                return;
+            }
+            const { tokenRules, warnings } = imported;
+            if (tokenRules.length === 0) {
+                this.specMessage.textContent = `${filename} has no rules that can be imported`;
+                return;
+            }
+            state.setData({ tokenRules: deserializeTokenRules(tokenRules), ...resetLexData() });
+            this.specMessage.textContent = [`imported ${tokenRules.length} rules from ${filename}`, ...warnings].join('\n');
+        },
+        // The event handlers read `this.data` when they fire rather than closing over the rules,
+        // so they always edit the latest state.
+        buildRuleRow(index) {
+            const row = document.createElement('div');
+            row.className = 'rule';
+
+            const edit = (changes) => {
+                state.setData({ tokenRules: replaceRule(this.data.tokenRules, index, changes) });
+            };
+            const move = (to) => {
+                state.setData({ tokenRules: moveRule(this.data.tokenRules, index, to) });
+            };
+
+            const name = document.createElement('input');
+            name.className = 'rule-name';
+            name.placeholder = 'name';
+            name.onchange = e => edit({ name: e.target.value });
+
+            const matcherType = document.createElement('select');
+            for (let type of ['regex', 'predicate']) {
+                let opt = document.createElement('option');
+                opt.text = type;
+                opt.value = type;
+                matcherType.add(opt);
+            }
+            matcherType.onchange = e => edit({ matcherType: e.target.value });
+
+            const matcherSource = document.createElement('input');
+            matcherSource.className = 'rule-matcher';
+            matcherSource.onchange = e => edit({ matcherSource: e.target.value });
+
+            const examples = document.createElement('textarea');
+            examples.className = 'rule-examples';
+            examples.placeholder = 'examples, one per line';
+            examples.rows = 2;
+            examples.onchange = e => edit({ examples: linesOf(e.target.value) });
+
+            const counterExamples = document.createElement('textarea');
+            counterExamples.className = 'rule-examples';
+            counterExamples.placeholder = 'must not match, one per line';
+            counterExamples.rows = 2;
+            counterExamples.onchange = e => edit({ counterExamples: linesOf(e.target.value) });
+
+            const up = document.createElement('button');
+            up.textContent = '↑';
+            up.title = 'raise priority';
+            up.onclick = () => move(index - 1);
+
+            const down = document.createElement('button');
+            down.textContent = '↓';
+            down.title = 'lower priority';
+            down.onclick = () => move(index + 1);
+
+            const remove = document.createElement('button');
+            remove.textContent = 'Delete';
+            remove.onclick = () => {
+                state.setData({ tokenRules: this.data.tokenRules.filter((_r, i) => i !== index) });
+            };
+
+            const error = document.createElement('div');
+            error.className = 'rule-error';
+
+            const tests = document.createElement('div');
+            tests.className = 'rule-tests';
+
+            row.append(name, matcherType, matcherSource, examples, counterExamples, up, down, remove, error, tests);
+            row.fields = { name, matcherType, matcherSource, examples, counterExamples, up, down, error, tests };
+            return row;
+        },
+        syncRuleRow(row, rule) {
+            const { name, matcherType, matcherSource, examples, counterExamples, up, down, error, tests } = row.fields;
+            const index = Array.prototype.indexOf.call(this.ruleArea.children, row);
+
+            setValue(name, rule.name);
+            setValue(matcherType, rule.matcherType);
+            setValue(matcherSource, rule.matcherSource);
+            setValue(examples, rule.examples.join('\n'));
+            setValue(counterExamples, rule.counterExamples.join('\n'));
+            matcherSource.placeholder = rule.matcherType === 'regex'
+                ? 'regex, e.g. [0-9]+'
+                : 'predicate, e.g. chars => chars === "+"';
+
+            up.disabled = index === 0;
+            down.disabled = index === this.ruleArea.children.length - 1;
+
+            error.textContent = rule.matcherError || '';
+            row.classList.toggle('invalid', !!rule.matcherError);
+
+            const results = testRuleExamples(rule);
+            tests.innerHTML = '';
+            tests.append(...createBadges(results.examples, false), ...createBadges(results.counterExamples, true));
+            row.classList.toggle('failing', validateRuleExamples(rule) !== true);
+        },
+    };
+
+    state.subscribe(obj, ['tokenRules'], { name: 'RuleSpace', pages: ['lexing'] });
+}
+
+/// A log of every setData call: the fields it set, their values before and after, and the
+/// components the next update pass re-rendered. Any entry can be jumped back to, and the log can be
+/// exported for bug reports. It lives below the app, collapsed until opened, and only in dev mode
+/// (see `state.devMode`), as it keeps every entry's data alive.
+function DevTools() {
+    // Older entries are dropped past this, as autoplay can log dozens a second.
+    const maxEntries = 500;
+
+    // JSON for values that can hold functions (rule matchers), Maps and Sets (grammar tables).
+    function toJson(value, indent) {
+        return JSON.stringify(value, (_key, val) => {
+            if (typeof val === 'function') {
+                return undefined;
+            } else if (val instanceof Map) {
+                return Object.fromEntries(val);
+            } else if (val instanceof Set) {
+                return [...val];
+            }
+            return val;
+        }, indent);
+    }
+
+    const obj = {
+        mountNode: document.createElement('details'),
+        logList: document.createElement('ol'),
+        // `{ id, time, label, fields, previous, next, rendered, data }`, oldest first. `data` is a
+        // shallow copy of the state right after the call, which is all a jump needs, since values
+        // are never changed in place.
+        entries: [],
+        nextId: 0,
+        // Entries waiting to hear which components their update pass re-rendered.
+        unrendered: [],
+        // Set while jumping, so the setData that does it is labelled as such.
+        jumpingTo: null,
+        mount() {
+            this.mountNode.className = 'devtools';
+            const summary = document.createElement('summary');
+            summary.textContent = 'State devtools';
+
+            const exportButton = document.createElement('button');
+            exportButton.textContent = 'Export Log';
+            exportButton.onclick = () => downloadFile('vizparse-state-log.json', this.exportLog(), 'application/json');
+
+            const clearButton = document.createElement('button');
+            clearButton.textContent = 'Clear Log';
+            clearButton.onclick = () => {
+                this.entries = [];
+                this.unrendered = [];
+                this.logList.innerHTML = '';
+            };
+
+            this.logList.className = 'devtools-log';
+            this.mountNode.append(summary, exportButton, clearButton, this.logList);
+            // Outside `#app`, so it stays put below every page.
+            document.body.append(this.mountNode);
+
+            this.record('initial state', {}, {});
+            // That one was drawn by mounting, not by an update pass.
+            this.unrendered = [];
+            this.stopRecording = state.onSetData(({ changes, previous }) => {
+                const label = this.jumpingTo === null ? null : `jump to #${this.jumpingTo}`;
+                this.record(label, previous, changes);
+            });
+            this.stopListening = state.onUpdatePass(({ updated }) => {
+                for (let entry of this.unrendered) {
+                    entry.rendered = updated;
+                    this.renderEntry(entry);
+                }
+                this.unrendered = [];
+            });
+        },
+        unmount() {
+            this.stopRecording();
+            this.stopListening();
+            this.mountNode.remove();
+        },
+        record(label, previous, next) {
+            const entry = {
+                id: this.nextId++,
+                time: Math.round(performance.now()),
+                label,
+                fields: Object.keys(next),
+                previous,
+                next,
+                rendered: null,
+                data: { ...state.data },
+            };
+            this.entries.push(entry);
+            this.unrendered.push(entry);
+            this.logList.append(this.createEntryItem(entry));
+
+            if (this.entries.length > maxEntries) {
+                this.entries.shift();
+                this.logList.firstChild.remove();
+            }
+        },
+        createEntryItem(entry) {
+            const item = document.createElement('li');
+            item.className = 'devtools-entry';
+            item.dataset.id = entry.id;
+
+            // The values can be large (every token, every history entry), so they're only turned
+            // into text when someone opens them.
+            const values = document.createElement('details');
+            const summary = document.createElement('summary');
+            const pre = document.createElement('pre');
+            values.ontoggle = () => {
+                if (values.open && !pre.textContent) {
+                    const lines = entry.fields.map(field =>
+                        `${field}:\n  before: ${toJson(entry.previous[field])}\n  after:  ${toJson(entry.next[field])}`
+                    );
+                    pre.textContent = lines.join('\n') || '(nothing set)';
+                }
+            };
+            values.append(summary, pre);
+
+            const jumpButton = document.createElement('button');
+            jumpButton.textContent = 'Jump Here';
+            jumpButton.onclick = () => this.jumpTo(entry);
+
+            item.append(values, jumpButton);
+            this.fillEntryItem(item, entry);
+            return item;
+        },
+        fillEntryItem(item, entry) {
+            const what = entry.label || entry.fields.join(', ');
+            const rendered = entry.rendered === null ? '' : ` → ${entry.rendered.join(', ') || 'nothing re-rendered'}`;
+            item.querySelector('summary').textContent = `#${entry.id} ${what}${rendered}`;
+        },
+        renderEntry(entry) {
+            const item = this.logList.querySelector(`[data-id="${entry.id}"]`);
+            if (item) {
+                this.fillEntryItem(item, entry);
+            }
+        },
+        /// Puts every field back the way it was right after `entry`. Playback is paused, or the
+        /// lexer would carry on from there straight away.
+        jumpTo(entry) {
+            const computed = state.computedFields.map(({ name }) => name);
+            const changes = {};
+            for (let field in entry.data) {
+                if (!computed.includes(field) && entry.data[field] !== state.data[field]) {
+                    changes[field] = entry.data[field];
+                }
+            }
+            if (state.data.playing || entry.data.playing) {
+                changes.playing = false;
+            }
+
+            this.jumpingTo = entry.id;
+            try {
+                state.setData(changes);
+            } finally {
+                this.jumpingTo = null;
+            }
+        },
+        exportLog() {
+            const log = this.entries.map(({ id, time, label, fields, previous, next, rendered }) =>
+                ({ id, time, label, fields, previous, next, rendered })
+            );
+            return toJson(log, 2);
+        },
+    };
+
+    state.subscribe(obj, [], { name: 'DevTools' });
+}
+
+/////////////////
+// Lexer state //
+/////////////////
+
+/// The lexing run is spread over these top-level fields of `state.data`, so that components can
+/// subscribe to just the parts they draw.
+const lexFields = ['currentCharIndex', 'tokenStart', 'lastMatch', 'tokens', 'lexErrors', 'lexingDone'];
+
+function lexStateFromData(data) {
+    return {
+        start: data.tokenStart,
+        current: data.currentCharIndex,
+        lastMatch: data.lastMatch,
+        tokens: data.tokens,
+        errors: data.lexErrors,
+        done: data.lexingDone,
+    };
+}
+
+function lexStateToData(lex) {
+    return {
+        currentCharIndex: lex.current,
+        tokenStart: lex.start,
+        lastMatch: lex.lastMatch,
+        tokens: lex.tokens,
+        lexErrors: lex.errors,
+        lexingDone: lex.done,
+    };
+}
+
+/// Everything `setData` needs to put the lexer back at the start of the current example. The
+/// parse is reset too, since it's built from the lexer's tokens.
+function resetLexData() {
+    return {
+        ...lexStateToData(initialLexState()),
+        lexingStarted: false,
+        lexHistory: [],
+        highlightedToken: null,
+        highlightPinned: false,
+        playing: false,
+        ...resetParseData(),
+    };
+}
+
+/// Everything `setData` needs to switch to another example. Breakpoints are character positions,
+/// so they don't carry over.
+function selectExampleData(name) {
+    return { selectedCodeExample: name, ...resetLexData(), breakpoints: [] };
+}
+
+/// Everything `setData` needs to start the parse over.
+function resetParseData() {
+    return { parse: initialParseState(), parseHistory: [], highlightedSpan: null };
+}
+
+/// Whether the parse's next step needs a token the lexer hasn't got to yet. Until lexing is done,
+/// running out of tokens isn't the end of the input, so the parse waits instead.
+function parseWaitingForTokens(parse, tokens, lexingDone) {
+    return !lexingDone && parse.stack !== null && !parse.done && parse.position >= tokens.length;
+}
+
+///////////
+// Pages //
+///////////
+
+const pages = [
+    { id: 'source', title: 'Source' },
+    { id: 'lexing', title: 'Lexing' },
+    { id: 'parsing', title: 'Parsing' },
+];
+
+/// Reads the page and example out of a URL hash, returning the fields for `setData` that differ
+/// from `data`. Unknown pages and examples are ignored.
+function dataFromHash(hash, data) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const page = params.get('page');
+    const example = params.get('example');
+
+    let updated = {};
+    if (page !== data.currentPage && pages.some(({ id }) => id === page)) {
+        updated.currentPage = page;
+    }
+    if (example !== null && example !== data.selectedCodeExample
+        && Object.prototype.hasOwnProperty.call(data.codeExamples, example)) {
+        updated = { ...updated, ...selectExampleData(example) };
+    }
+    return updated;
+}
+
+///////////////
+// Workspace //
+///////////////
+
+/// A workspace is everything a user authors, in a JSON-friendly shape:
+///
+///     { version, codeExamples, selectedCodeExample, tokenRules, grammarSource }
+///
+/// It's what gets saved to localStorage and what the import/export buttons read and write.
+const workspaceVersion = 1;
+const workspaceStorageKey = 'vizparse-workspace';
+
+function workspaceFromData(data) {
+    return {
+        version: workspaceVersion,
+        codeExamples: data.codeExamples,
+        selectedCodeExample: data.selectedCodeExample,
+        tokenRules: data.tokenRules.map(serializeTokenRule),
+        grammarSource: data.grammar.source,
+    };
+}
+
+/// Checks a parsed workspace and turns it into fields for `setData`. Throws on anything malformed,
+/// so a bad file can't leave the app half-loaded.
+function workspaceToData(workspace) {
+    if (typeof workspace !== 'object' || workspace === null) {
+        throw new Error('a workspace must be a JSON object');
+    }
+    if (workspace.version !== workspaceVersion) {
+        throw new Error(`unsupported workspace version '${workspace.version}'`);
+    }
+
+    const { codeExamples, selectedCodeExample, tokenRules, grammarSource } = workspace;
+    if (typeof codeExamples !== 'object' || codeExamples === null) {
+        throw new Error(`'codeExamples' must be an object`);
+    }
+    for (let name in codeExamples) {
+        if (typeof codeExamples[name] !== 'string') {
+            throw new Error(`code example '${name}' must be a string`);
+        }
+    }
+    if (!Object.prototype.hasOwnProperty.call(codeExamples, selectedCodeExample)) {
+        throw new Error(`'selectedCodeExample' must name one of the code examples`);
+    }
+    // Workspaces saved before the parsing stage existed have no grammar; they keep the current one.
+    if (grammarSource !== undefined && typeof grammarSource !== 'string') {
+        throw new Error(`'grammarSource' must be a string`);
+    }
+
+    const data = { codeExamples, selectedCodeExample, tokenRules: deserializeTokenRules(tokenRules) };
+    if (grammarSource !== undefined) {
+        data.grammar = createGrammar(grammarSource);
+    }
+    return data;
+}
+
+/// Loads the workspace saved by `WorkspaceStorage`, if there is one. A saved workspace that
+/// doesn't load is left in storage, in case it's worth recovering by hand.
+function restoreWorkspace() {
+    let saved;
+    try {
+        saved = localStorage.getItem(workspaceStorageKey);
+    } catch (e) {
+        console.warn(`couldn't read the saved workspace: ${e.message}`);
+        return;
+    }
+    if (saved === null) {
+        return;
+    }
+
+    try {
+        state.setData(workspaceToData(JSON.parse(saved)));
+    } catch (e) {
+        console.warn(`ignoring the saved workspace: ${e.message}`);
+    }
+}
+
+/////////////////
+// Share links //
+/////////////////
+
+/// A share link carries one session in its hash, as `share=` followed by this, deflated and
+/// base64url-encoded:
+///
+///     { version, name, source, tokenRules, recoveryStrategy, currentCharIndex, lexSteps }
+///
+/// `name` and `source` are the selected example's, and `lexSteps` is how many steps the lexer had
+/// taken. Everything happens in the browser, so links work offline.
+const shareVersion = 1;
+
+function shareFromData(data) {
+    return {
+        version: shareVersion,
+        name: data.selectedCodeExample,
+        source: data.currentSource,
+        tokenRules: data.tokenRules.map(serializeTokenRule),
+        recoveryStrategy: data.recoveryStrategy,
+        currentCharIndex: data.currentCharIndex,
+        lexSteps: data.lexHistory.length,
+    };
+}
+
+/// Checks a decoded share, throwing on anything malformed. The rules are only checked, not
+/// compiled: predicates are code, which mustn't run before the user agrees to open the link.
+function checkShare(share) {
+    if (typeof share !== 'object' || share === null) {
+        throw new Error('a share must be a JSON object');
+    }
+    if (share.version !== shareVersion) {
+        throw new Error(`unsupported share version '${share.version}'`);
+    }
+    const { source, recoveryStrategy, currentCharIndex, lexSteps } = share;
+    if (typeof share.name !== 'string' || share.name.trim() === '') {
+        throw new Error(`'name' must be a non-blank string`);
+    }
+    if (typeof source !== 'string') {
+        throw new Error(`'source' must be a string`);
+    }
+    if (!recoveryStrategies.includes(recoveryStrategy)) {
+        throw new Error(`unknown recovery strategy '${recoveryStrategy}'`);
+    }
+    for (let [field, value] of [['currentCharIndex', currentCharIndex], ['lexSteps', lexSteps]]) {
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`'${field}' must be a whole number`);
+        }
+    }
+    checkSerializedTokenRules(share.tokenRules);
+}
+
+/// Turns a share into fields for `setData`, relative to the current `data`. Throws if `checkShare`
+/// would. This compiles the shared rules and lexes with them, so predicates in them run.
+///
+/// The shared source becomes an example of its own name, unless the user already has a different
+/// example called that, in which case it goes in '<name> (shared)' (or '(shared 2)', and so on).
+/// The lexer is replayed the same number of steps, which reproduces the shared state exactly since
+/// lexing is deterministic; if that doesn't land on `currentCharIndex` (say the link was edited),
+/// it seeks there instead.
+function shareToData(share, data) {
+    checkShare(share);
+    const { source, recoveryStrategy, currentCharIndex, lexSteps } = share;
+    const tokenRules = deserializeTokenRules(share.tokenRules);
+
+    const taken = (name) => Object.prototype.hasOwnProperty.call(data.codeExamples, name) && data.codeExamples[name] !== source;
+    let name = share.name;
+    for (let n = 1; taken(name); n++) {
+        name = n === 1 ? `${share.name} (shared)` : `${share.name} (shared ${n})`;
+    }
+
+    let steps = 0;
+    let { lex, history } = lexSteps === 0
+        ? { lex: initialLexState(), history: [] }
+        : runLexer(source, tokenRules, initialLexState(), [], { stop: () => ++steps >= lexSteps, recovery: recoveryStrategy });
+    if (lex.current !== currentCharIndex) {
+        ({ lex, history } = seekLexer(source, tokenRules, initialLexState(), [], currentCharIndex, { recovery: recoveryStrategy }));
+    }
+
+    return {
+        codeExamples: { ...data.codeExamples, [name]: source },
+        ...selectExampleData(name),
+        tokenRules,
+        recoveryStrategy,
+        ...lexStateToData(lex),
+        lexHistory: history,
+        lexingStarted: history.length > 0,
+        currentPage: 'lexing',
+    };
+}
+
+/// The hash of a link that opens the session in `data`.
+async function encodeShareHash(data) {
+    const bytes = await transformBytes(new TextEncoder().encode(JSON.stringify(shareFromData(data))), new CompressionStream('deflate-raw'));
+    let binary = '';
+    for (let byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    const encoded = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return `#${new URLSearchParams({ page: 'lexing', share: encoded })}`;
+}
+
+/// The share in a hash's `share=` parameter, or null if it hasn't got one. Throws if it can't be
+/// decoded.
+async function decodeShareHash(hash) {
+    const encoded = new URLSearchParams(hash.replace(/^#/, '')).get('share');
+    if (encoded === null) {
+        return null;
+    }
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = await transformBytes(Uint8Array.from(binary, char => char.charCodeAt(0)), new DecompressionStream('deflate-raw'));
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+// Runs bytes through a stream like `CompressionStream`, collecting what comes out.
+async function transformBytes(bytes, transform) {
+    // The write isn't awaited, since it only settles once the output is read. Its errors also
+    // come out of the reader, so they're ignored here.
+    const writer = transform.writable.getWriter();
+    writer.write(bytes).catch(() => { });
+    writer.close().catch(() => { });
+
+    const chunks = [];
+    const reader = transform.readable.getReader();
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        chunks.push(value);
+    }
+    const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    for (let chunk of chunks) {
+        output.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return output;
+}
+
+/// Opens the session in a share link's hash, if it has one. Replacing the user's token rules
+/// needs their say-so, as with importing rules, and it's asked for before the shared rules are
+/// compiled, since anyone can send a link with predicates in it. A link that can't be opened is
+/// ignored with a warning.
+async function restoreShare(hash) {
+    let share;
+    try {
+        share = await decodeShareHash(hash);
+        if (share === null) {
+            return;
+        }
+        checkShare(share);
+    } catch (e) {
+        console.warn(`ignoring the share link: ${e.message}`);
+        return;
+    }
+
+    const serialized = (rules) => JSON.stringify(rules.map(rule => serializeTokenRule({ counterExamples: [], ...rule })));
+    const sameRules = serialized(share.tokenRules) === serialized(state.data.tokenRules);
+    const warning = share.tokenRules.some(rule => rule.matcherType === 'predicate')
+        ? ' Its predicate rules are JavaScript that will run in this page, so only open links from people you trust.'
+        : '';
+    if (sameRules || window.confirm(`This link replaces your token rules with the ones it was shared with.${warning} Open it?`)) {
+        state.setData(shareToData(share, state.data));
+    }
+}
+
+///////////////////////////
+// New reactivity design //
+///////////////////////////
+
+restoreWorkspace();
+state.setData(dataFromHash(window.location.hash, state.data));
+// This finishes after the app starts, and after `HashRouter` has tidied the share out of the URL.
+restoreShare(window.location.hash);
+
+// On every page:
+PageNav();
+HashRouter();
+WorkspaceStorage();
+ParseReset();
+ExampleSwitcher();
+
+// Source page:
+WorkspaceFile();
+SourceEditor();
+
+// Lexing page:
+RuleSpace();
+CharacterView();
+TokenStream();
+LexerStatus();
+LexerControls();
+Autoplay();
+ShareLink();
+LexerErrors();
+RuleAutomaton();
+
+// Parsing page:
+GrammarEditor();
+ParserStatus();
+ParserControls();
+ParseTree();
+
+// Below every page:
+if (state.devMode) {
+    DevTools();
+}
+
+// Begin app:
+state.reactifyYourApp();
@@ -0,0 +1,449 @@
+/// The lexer core: token rules and the maximal-munch engine that steps through a source with
+/// them. Nothing in here touches the DOM, so it runs the same in the browser (as a plain script,
+/// loaded before index.js) and in Node (as a CommonJS module, see cli.js).
+
+'use strict';
+
+///////////
+// Token //
+///////////
+
+/// Builds a token rule from its serializable parts:
+///
+///     { name, matcherType: 'regex' | 'predicate', matcherSource, examples, counterExamples }
+///
+/// and attaches the compiled `matcher(chars)` function. `examples` must match and
+/// `counterExamples` must not; rules saved before counter-examples existed get an empty list.
+/// Regexes must match the whole of `chars`. Predicates are the source of a JS function taking
+/// `chars` and returning a boolean. If the source doesn't compile, `matcherError` explains why and
+/// the matcher never matches.
+///
+/// Regex rules also get `longerMatcher(text, length)`, which says whether the rule matches some
+/// start of `text` longer than `length`, so the lexer can tell whether a candidate could still
+/// grow into a match. Predicates can't answer that, so theirs is null.
+function createTokenRule({ name, matcherType, matcherSource, examples, counterExamples = [] }) {
+    const rule = {
+        name,
+        matcherType,
+        matcherSource,
+        examples,
+        counterExamples,
+        matcher: () => false,
+        matcherError: null,
+        longerMatcher: null,
+    };
+    try {
+        rule.matcher = compileMatcher(matcherType, matcherSource);
+    } catch (e) {
+        rule.matcherError = e.message;
+        return rule;
+    }
+    if (matcherType === 'regex') {
+        rule.longerMatcher = regexLongerMatcher(matcherSource);
+    }
+    return rule;
+}
+
+/// The parts of a rule that survive JSON; `createTokenRule` turns them back into a rule.
+function serializeTokenRule({ name, matcherType, matcherSource, examples, counterExamples }) {
+    return { name, matcherType, matcherSource, examples, counterExamples };
+}
+
+/// Checks a parsed list of serialized rules, throwing on anything malformed. Nothing is compiled,
+/// so predicates from somewhere untrusted aren't run.
+function checkSerializedTokenRules(tokenRules) {
+    if (!Array.isArray(tokenRules)) {
+        throw new Error(`'tokenRules' must be an array`);
+    }
+    for (let rule of tokenRules) {
+        if (typeof rule !== 'object' || rule === null) {
+            throw new Error('every rule must be an object');
+        }
+        if (typeof rule.name !== 'string' || typeof rule.matcherSource !== 'string' || !Array.isArray(rule.examples)) {
+            throw new Error(`every rule needs a 'name', a 'matcherSource' and a list of 'examples'`);
+        }
+        if (rule.counterExamples !== undefined && !Array.isArray(rule.counterExamples)) {
+            throw new Error(`'counterExamples' of rule '${rule.name}' must be a list`);
+        }
+    }
+}
+
+/// Checks a parsed list of serialized rules and turns them back into rules. Throws on anything
+/// malformed.
+function deserializeTokenRules(tokenRules) {
+    checkSerializedTokenRules(tokenRules);
+    return tokenRules.map(createTokenRule);
+}
+
+function compileMatcher(matcherType, matcherSource) {
+    if (matcherSource.trim() === '') {
+        throw new Error('matcher is empty');
+    }
+    if (matcherType === 'regex') {
+        const regex = new RegExp(`^(?:${matcherSource})$`);
+        return (chars) => regex.test(chars);
+    } else if (matcherType === 'predicate') {
+        const predicate = new Function(`return (${matcherSource});`)();
+        if (typeof predicate !== 'function') {
+            throw new Error('predicate source must evaluate to a function');
+        }
+        // A predicate that throws simply doesn't match.
+        return (chars) => {
+            try {
+                return !!predicate(chars);
+            } catch (_e) {
+                return false;
+            }
+        };
+    } else {
+        throw new Error(`unknown matcher type '${matcherType}'`);
+    }
+}
+
+// The lookbehind only passes once the match is more than `length` characters long, so the regex
+// engine backtracks through every way the rule can match the start of `text` until one is. There's
+// one regex per length, built the first time it's needed.
+function regexLongerMatcher(matcherSource) {
+    const regexes = new Map();
+    return (text, length) => {
+        if (!regexes.has(length)) {
+            regexes.set(length, new RegExp(`^(?:${matcherSource})(?<=[\\s\\S]{${length + 1}})`));
+        }
+        return regexes.get(length).test(text);
+    };
+}
+
+/// Returns the first example the rule gets wrong, or true if it gets them all right.
+function validateRuleExamples(tokenRule) {
+    const { examples, counterExamples } = testRuleExamples(tokenRule);
+    const failed = [...examples, ...counterExamples].find(result => !result.passed);
+    if (failed) {
+        return failed.example;
+    } else {
+        return true;
+    }
+}
+
+/// Runs every example of a rule. `examples` pass when the rule matches them and
+/// `counterExamples` pass when it doesn't. Returns each as a list of `{ example, passed }`.
+function testRuleExamples(tokenRule) {
+    return {
+        examples: tokenRule.examples.map(example => ({ example, passed: tokenRule.matcher(example) })),
+        counterExamples: tokenRule.counterExamples.map(example => ({ example, passed: !tokenRule.matcher(example) })),
+    };
+}
+
+/// Finds examples that more than one rule fully matches, which usually means the rules overlap in
+/// ways the author didn't intend. Returns `{ example, rules }` for each, where `rules` are the
+/// names of every matching rule in priority order, so `rules[0]` is the one the lexer picks.
+function findAmbiguousExamples(rules) {
+    const seen = new Set();
+    const ambiguous = [];
+    for (let rule of rules) {
+        for (let example of rule.examples) {
+            if (seen.has(example)) {
+                continue;
+            }
+            seen.add(example);
+
+            const matches = matchingRules(rules, example);
+            if (matches.length > 1) {
+                ambiguous.push({ example, rules: matches.map(match => match.name) });
+            }
+        }
+    }
+    return ambiguous;
+}
+
+function notWhitespace(str) {
+    return !/\s+/s.test(str);
+}
+
+function matchingRules(rules, charBuffer) {
+    let matches = [];
+    for (let rule of rules) {
+        if (rule.matcher(charBuffer)) {
+            matches.push(rule);
+        }
+    }
+    return matches;
+}
+
+/// How many characters past the candidate the lexer tries predicates on. Predicates are black
+/// boxes, so the only way to know whether one matches a longer candidate is to try it on each;
+/// looking all the way to the end of the source would make lexing quadratic. A predicate token
+/// longer than this whose shorter prefixes match nothing is cut short.
+const predicateLookahead = 32;
+
+/// Whether some rule matches a longer candidate than `source.slice(start, end)`, so that the lexer
+/// should keep going even though the candidate itself may match nothing. Rules with a
+/// `longerMatcher` answer in one go; predicates are tried on up to `predicateLookahead` longer
+/// candidates. Rules that don't compile never match, so they're skipped.
+function someRuleMatchesLonger(source, rules, start, end) {
+    return rules.some(rule => {
+        if (rule.matcherError) {
+            return false;
+        } else if (rule.longerMatcher) {
+            return rule.longerMatcher(source.slice(start), end - start);
+        }
+        let longer = end;
+        for (let tried = 0; tried < predicateLookahead && longer < source.length; tried++) {
+            longer = nextCharIndex(source, longer);
+            if (rule.matcher(source.slice(start, longer))) {
+                return true;
+            }
+        }
+        return false;
+    });
+}
+
+///////////
+// Lexer //
+///////////
+
+/// A lexing run is a plain object:
+///
+///     { start, current, lastMatch, tokens, errors, done }
+///
+/// `start` is where the candidate lexeme begins and `current` is the index of the next character
+/// to consume, so the candidate is `source.slice(start, current)`. `lastMatch` is the longest
+/// candidate so far that satisfied a rule, as `{ end, rule }`, and `tokens` holds everything
+/// emitted, as `{ rule, text, start, end }`. `errors` lists the text the lexer had to recover from,
+/// as `{ start, end, text, reason }`.
+///
+/// Runs are never mutated; every step returns a new one.
+function initialLexState() {
+    return { start: 0, current: 0, lastMatch: null, tokens: [], errors: [], done: false };
+}
+
+/// The index just past the character at `index`. Indices are into the UTF-16 string, where a
+/// character outside the Basic Multilingual Plane, like most emoji, takes two code units. The lexer
+/// always steps over both, so `current` never lands between them.
+function nextCharIndex(source, index) {
+    return index + (source.codePointAt(index) > 0xffff ? 2 : 1);
+}
+
+/// The whole character at `index`, two code units long for characters like emoji.
+function charAt(source, index) {
+    return source.slice(index, nextCharIndex(source, index));
+}
+
+/// What the lexer does when nothing matches at `start`:
+///
+///     'skip-char'          - drop the character and carry on from the next one
+///     'skip-to-whitespace' - drop everything up to the next whitespace character
+///     'error-token'        - emit the character as an `ERROR` token and carry on
+///
+/// Without a strategy the lexer is stuck at that point.
+const recoveryStrategies = ['skip-char', 'skip-to-whitespace', 'error-token'];
+const errorTokenRule = 'ERROR';
+
+/// Works out what the next step would do, without doing it. Decisions are one of:
+///
+///     { type: 'extend', candidate, rules } - the candidate grown by one character matches `rules`,
+///                                            or could still grow into a match if `rules` is empty
+///     { type: 'emit', token }              - the candidate can't grow, so emit the longest match
+///     { type: 'recover', error, token }    - nothing starting at `start` matches any rule, so skip
+///                                            `error`, emitting `token` too if there is one
+///     { type: 'stuck', candidate }         - as above, but there's no recovery strategy
+///     { type: 'done' }                     - the whole source has been consumed
+///
+/// This is maximal munch: the candidate keeps growing for as long as some rule matches it or a
+/// longer candidate, so `"hi"` lexes as one string even though `"hi` matches nothing. Once it
+/// can't, the longest match so far is emitted. When several rules match, the first in `rules`
+/// wins. `recovery` is one of `recoveryStrategies`.
+function nextLexDecision(source, rules, lex, { recovery } = {}) {
+    if (lex.done) {
+        return { type: 'done' };
+    }
+
+    if (lex.current < source.length) {
+        const end = nextCharIndex(source, lex.current);
+        const candidate = source.slice(lex.start, end);
+        const matches = matchingRules(rules, candidate);
+        if (matches.length > 0 || someRuleMatchesLonger(source, rules, lex.start, end)) {
+            return { type: 'extend', candidate, rules: matches.map(rule => rule.name) };
+        }
+    }
+
+    if (lex.lastMatch) {
+        const { end, rule } = lex.lastMatch;
+        return { type: 'emit', token: { rule, text: source.slice(lex.start, end), start: lex.start, end } };
+    } else if (lex.start >= source.length) {
+        return { type: 'done' };
+    } else if (recoveryStrategies.includes(recovery)) {
+        return recoveryDecision(source, lex.start, recovery);
+    } else {
+        return { type: 'stuck', candidate: source.slice(lex.start, nextCharIndex(source, lex.current)) };
+    }
+}
+
+function recoveryDecision(source, start, recovery) {
+    let end = nextCharIndex(source, start);
+    if (recovery === 'skip-to-whitespace') {
+        while (end < source.length && notWhitespace(source[end])) {
+            end = nextCharIndex(source, end);
+        }
+    }
+
+    const text = source.slice(start, end);
+    const error = { start, end, text, reason: `no rule matches ${JSON.stringify(charAt(text, 0))}` };
+    const token = recovery === 'error-token' ? { rule: errorTokenRule, text, start, end } : null;
+    return { type: 'recover', error, token };
+}
+
+function applyLexDecision(lex, decision) {
+    switch (decision.type) {
+        case 'extend': {
+            const current = lex.start + decision.candidate.length;
+            const lastMatch = decision.rules.length > 0 ? { end: current, rule: decision.rules[0] } : lex.lastMatch;
+            return { ...lex, current, lastMatch };
+        }
+        case 'emit':
+            // Anything consumed past the end of the longest match gets lexed again.
+            return {
+                ...lex,
+                start: decision.token.end,
+                current: decision.token.end,
+                lastMatch: null,
+                tokens: [...lex.tokens, decision.token],
+            };
+        case 'recover':
+            return {
+                ...lex,
+                start: decision.error.end,
+                current: decision.error.end,
+                lastMatch: null,
+                tokens: decision.token ? [...lex.tokens, decision.token] : lex.tokens,
+                errors: [...lex.errors, decision.error],
+            };
+        case 'done':
+            return { ...lex, done: true };
+        case 'stuck':
+            return lex;
+    }
+}
+
+function lexStep(source, rules, lex, options) {
+    return applyLexDecision(lex, nextLexDecision(source, rules, lex, options));
+}
+
+/// Index of the token covering the character at `charIndex`, or null if it hasn't been lexed yet.
+function tokenIndexAt(tokens, charIndex) {
+    const index = tokens.findIndex(token => token.start <= charIndex && charIndex < token.end);
+    return index === -1 ? null : index;
+}
+
+/// 1-based line and column of the character at `index`. Columns count characters rather than
+/// UTF-16 code units, so an emoji is one column, the same as in the CharacterView.
+function lineColumnAt(source, index) {
+    const before = source.slice(0, index);
+    const lineStart = before.lastIndexOf('\n') + 1;
+    return { line: before.split('\n').length, column: [...before.slice(lineStart)].length + 1 };
+}
+
+/// Steps the lexer until `stop(prev, next)` says so, recording every state it leaves in a copy of
+/// `history`. Runs also stop on reaching a breakpoint, and when the lexer is stuck or done. With
+/// `pauseOnError` they stop right after recovering from an error, too. Returns
+/// `{ lex, history, stoppedBy }`, where `stoppedBy` is one of 'stop', 'breakpoint', 'error',
+/// 'stuck' or 'done'.
+function runLexer(source, rules, lex, history, { breakpoints = [], stop, recovery, pauseOnError = false }) {
+    history = [...history];
+    while (!lex.done) {
+        const decision = nextLexDecision(source, rules, lex, { recovery });
+        if (decision.type === 'stuck') {
+            return { lex, history, stoppedBy: 'stuck' };
+        }
+
+        const prev = lex;
+        history.push(prev);
+        lex = applyLexDecision(prev, decision);
+
+        if (lex.current !== prev.current && breakpoints.includes(lex.current)) {
+            return { lex, history, stoppedBy: 'breakpoint' };
+        } else if (pauseOnError && decision.type === 'recover') {
+            return { lex, history, stoppedBy: 'error' };
+        } else if (stop(prev, lex)) {
+            return { lex, history, stoppedBy: lex.done ? 'done' : 'stop' };
+        }
+    }
+    return { lex, history, stoppedBy: 'done' };
+}
+
+/// How many steps back the start of the current candidate is, or, when there is no candidate, the
+/// start of the previous token.
+function stepsBackToTokenStart(lex, history) {
+    const candidateStarted = lex.current > lex.start || lex.lastMatch !== null;
+    const tokenCount = candidateStarted ? lex.tokens.length : lex.tokens.length - 1;
+
+    let steps = 0;
+    for (let i = history.length - 1; i >= 0 && history[i].tokens.length >= tokenCount; i--) {
+        steps = history.length - i;
+    }
+    return steps;
+}
+
+/// Moves the lexer so that `current` is `target`: back through `history` if it's behind, then
+/// forward step by step, ignoring breakpoints. It can stop short if the lexer gets stuck or done
+/// first, or past `target` if error recovery skips over it. Returns `{ lex, history }`.
+function seekLexer(source, rules, lex, history, target, { recovery } = {}) {
+    let at = history.length;
+    while (at > 0 && lex.current > target) {
+        lex = history[--at];
+    }
+    history = history.slice(0, at);
+    if (lex.current >= target) {
+        return { lex, history };
+    }
+    const result = runLexer(source, rules, lex, history, { stop: (_prev, next) => next.current >= target, recovery });
+    return { lex: result.lex, history: result.history };
+}
+
+/// Lexes the whole of `source` in one go. Returns `{ tokens, errors, stuckAt }`, where `stuckAt`
+/// is the index the lexer couldn't get past when there's no `recovery` strategy, or null.
+function lex(source, rules, { recovery } = {}) {
+    let run = initialLexState();
+    while (!run.done) {
+        const decision = nextLexDecision(source, rules, run, { recovery });
+        if (decision.type === 'stuck') {
+            return { tokens: run.tokens, errors: run.errors, stuckAt: run.start };
+        }
+        run = applyLexDecision(run, decision);
+    }
+    return { tokens: run.tokens, errors: run.errors, stuckAt: null };
+}
+
+// In the browser this is a plain script, so everything above is simply global. Node gets it as a
+// CommonJS module instead.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createTokenRule,
+        serializeTokenRule,
+        checkSerializedTokenRules,
+        deserializeTokenRules,
+        compileMatcher,
+        regexLongerMatcher,
+        validateRuleExamples,
+        testRuleExamples,
+        findAmbiguousExamples,
+        notWhitespace,
+        matchingRules,
+        predicateLookahead,
+        someRuleMatchesLonger,
+        initialLexState,
+        nextCharIndex,
+        charAt,
+        recoveryStrategies,
+        errorTokenRule,
+        nextLexDecision,
+        recoveryDecision,
+        applyLexDecision,
+        lexStep,
+        runLexer,
+        stepsBackToTokenStart,
+        seekLexer,
+        tokenIndexAt,
+        lineColumnAt,
+        lex,
+    };
+}
@@ -0,0 +1,444 @@
+/// The parser core: BNF-style grammars and an LL(1) parser that steps through a token stream one
+/// decision at a time, growing a parse tree as it goes. It loads the same way lexer.js does.
+
+'use strict';
+
+/////////////
+// Grammar //
+/////////////
+
+/// Grammars are written one production per line:
+///
+///     %ignore whitespace
+///     expr      -> term expr_tail
+///     expr_tail -> operator term expr_tail | ε
+///     term      -> "-" term
+///                | number
+///                | "(" expr ")"
+///
+/// Names on the left of `->` (or `::=`) are nonterminals. Any other bare name is a terminal that
+/// matches tokens emitted by the token rule of that name, and a quoted string is a terminal that
+/// matches tokens with exactly that text. `ε` (or `epsilon`, or an empty alternative) matches
+/// nothing. Lines starting with `|` continue the production above, and `#` starts a comment.
+/// `%ignore` lists token rules whose tokens the parser never sees. The first production's
+/// nonterminal is the start symbol.
+///
+/// Symbols are `{ type: 'nonterminal' | 'token' | 'literal', value }`.
+function parseGrammarSource(source) {
+    const productions = [];
+    const ignore = [];
+    const errors = [];
+
+    // Join continuation lines onto the production they continue.
+    const lines = [];
+    source.split('\n').forEach((text, index) => {
+        const tokens = tokenizeGrammarLine(text, index + 1, errors);
+        if (tokens.length === 0) {
+            return;
+        }
+        if (tokens[0].type === 'pipe' && lines.length > 0) {
+            lines[lines.length - 1].tokens.push(...tokens);
+        } else {
+            lines.push({ lineNumber: index + 1, tokens });
+        }
+    });
+
+    for (let { lineNumber, tokens } of lines) {
+        const [first, second, ...rest] = tokens;
+        if (first.type === 'directive') {
+            if (first.value !== 'ignore') {
+                errors.push(`line ${lineNumber}: unknown directive '%${first.value}'`);
+            } else if (tokens.slice(1).some(token => token.type !== 'name')) {
+                errors.push(`line ${lineNumber}: %ignore takes a list of token rule names`);
+            } else {
+                ignore.push(...tokens.slice(1).map(token => token.value));
+            }
+            continue;
+        }
+        if (first.type !== 'name' || !second || second.type !== 'arrow') {
+            errors.push(`line ${lineNumber}: expected a production like 'name -> symbols'`);
+            continue;
+        }
+
+        const alternatives = [[]];
+        for (let token of rest) {
+            if (token.type === 'pipe') {
+                alternatives.push([]);
+            } else if (token.type === 'name' || token.type === 'literal') {
+                alternatives[alternatives.length - 1].push(token);
+            } else if (token.type !== 'epsilon') {
+                errors.push(`line ${lineNumber}: unexpected '${token.text}'`);
+            }
+        }
+
+        const existing = productions.find(production => production.name === first.value);
+        if (existing) {
+            existing.alternatives.push(...alternatives);
+        } else {
+            productions.push({ name: first.value, alternatives });
+        }
+    }
+
+    // Now that every nonterminal is known, the remaining names must be token rules.
+    const nonterminals = new Set(productions.map(production => production.name));
+    for (let production of productions) {
+        production.alternatives = production.alternatives.map(alternative => alternative.map(token => ({
+            type: token.type === 'literal' ? 'literal' : nonterminals.has(token.value) ? 'nonterminal' : 'token',
+            value: token.value,
+        })));
+    }
+
+    if (productions.length === 0 && errors.length === 0) {
+        errors.push('the grammar has no productions');
+    }
+    return { productions, ignore, errors, start: productions.length > 0 ? productions[0].name : null };
+}
+
+function tokenizeGrammarLine(text, lineNumber, errors) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        const rest = text.slice(i);
+        let match;
+        if (/^\s/.test(rest)) {
+            i += 1;
+        } else if (rest[0] === '#') {
+            break;
+        } else if ((match = /^(->|::=)/.exec(rest))) {
+            tokens.push({ type: 'arrow', text: match[0] });
+            i += match[0].length;
+        } else if (rest[0] === '|') {
+            tokens.push({ type: 'pipe', text: '|' });
+            i += 1;
+        } else if ((match = /^(ε|epsilon\b)/.exec(rest))) {
+            tokens.push({ type: 'epsilon', text: match[0] });
+            i += match[0].length;
+        } else if ((match = /^%([A-Za-z_]\w*)/.exec(rest))) {
+            tokens.push({ type: 'directive', text: match[0], value: match[1] });
+            i += match[0].length;
+        } else if ((match = /^[A-Za-z_][\w']*/.exec(rest))) {
+            tokens.push({ type: 'name', text: match[0], value: match[0] });
+            i += match[0].length;
+        } else if ((match = /^("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')/.exec(rest))) {
+            tokens.push({ type: 'literal', text: match[0], value: unquote(match[0]) });
+            i += match[0].length;
+        } else {
+            errors.push(`line ${lineNumber}: unexpected '${rest[0]}'`);
+            i += 1;
+        }
+    }
+    return tokens;
+}
+
+// Strips the quotes from a literal. A backslash escapes the character after it, and `\n`, `\r`
+// and `\t` mean what they do in JS.
+function unquote(text) {
+    const escapes = { n: '\n', r: '\r', t: '\t' };
+    return text.slice(1, -1).replace(/\\(.)/g, (_match, char) => escapes[char] || char);
+}
+
+/// Terminals are keyed by strings in FIRST/FOLLOW sets and the parse table: a literal by its
+/// quoted text, a token rule by its name, and the end of input by '$'.
+const endOfInput = '$';
+
+function terminalKey(symbol) {
+    return symbol.type === 'literal' ? JSON.stringify(symbol.value) : symbol.value;
+}
+
+/// The keys a token can be looked up by, most specific first.
+function lookaheadKeys(token) {
+    return token ? [JSON.stringify(token.text), token.rule] : [endOfInput];
+}
+
+function firstOfSequence(symbols, firstSets) {
+    const first = new Set();
+    for (let symbol of symbols) {
+        if (symbol.type !== 'nonterminal') {
+            first.add(terminalKey(symbol));
+            return first;
+        }
+        for (let key of firstSets.get(symbol.value)) {
+            if (key !== 'ε') {
+                first.add(key);
+            }
+        }
+        if (!firstSets.get(symbol.value).has('ε')) {
+            return first;
+        }
+    }
+    first.add('ε');
+    return first;
+}
+
+function computeFirstSets(productions) {
+    const firstSets = new Map(productions.map(production => [production.name, new Set()]));
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (let { name, alternatives } of productions) {
+            const first = firstSets.get(name);
+            for (let alternative of alternatives) {
+                for (let key of firstOfSequence(alternative, firstSets)) {
+                    if (!first.has(key)) {
+                        first.add(key);
+                        changed = true;
+                    }
+                }
+            }
+        }
+    }
+    return firstSets;
+}
+
+function computeFollowSets(productions, start, firstSets) {
+    const followSets = new Map(productions.map(production => [production.name, new Set()]));
+    followSets.get(start).add(endOfInput);
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (let { name, alternatives } of productions) {
+            for (let alternative of alternatives) {
+                alternative.forEach((symbol, i) => {
+                    if (symbol.type !== 'nonterminal') {
+                        return;
+                    }
+                    const follow = followSets.get(symbol.value);
+                    const restFirst = firstOfSequence(alternative.slice(i + 1), firstSets);
+                    const additions = [...restFirst].filter(key => key !== 'ε');
+                    if (restFirst.has('ε')) {
+                        additions.push(...followSets.get(name));
+                    }
+                    for (let key of additions) {
+                        if (!follow.has(key)) {
+                            follow.add(key);
+                            changed = true;
+                        }
+                    }
+                });
+            }
+        }
+    }
+    return followSets;
+}
+
+/// Builds a grammar from its source text:
+///
+///     { source, productions, start, ignore, table, conflicts, errors }
+///
+/// `table` is the LL(1) parse table as `{ [nonterminal]: { [terminalKey]: alternativeIndex } }`.
+/// When two alternatives claim the same lookahead, the first one wins and the clash is listed in
+/// `conflicts` as `{ nonterminal, key, alternatives }`. `errors` holds syntax errors; a grammar
+/// with errors can't be parsed with.
+function createGrammar(source) {
+    const { productions, ignore, errors, start } = parseGrammarSource(source);
+    const table = {};
+    const conflicts = [];
+    if (errors.length > 0) {
+        return { source, productions, start, ignore, table, conflicts, errors };
+    }
+
+    const firstSets = computeFirstSets(productions);
+    const followSets = computeFollowSets(productions, start, firstSets);
+    for (let { name, alternatives } of productions) {
+        table[name] = {};
+        alternatives.forEach((alternative, index) => {
+            const first = firstOfSequence(alternative, firstSets);
+            const keys = [...first].filter(key => key !== 'ε');
+            if (first.has('ε')) {
+                keys.push(...followSets.get(name));
+            }
+            for (let key of keys) {
+                const claimedBy = table[name][key];
+                if (claimedBy === undefined) {
+                    table[name][key] = index;
+                } else if (claimedBy !== index) {
+                    conflicts.push({ nonterminal: name, key, alternatives: [claimedBy, index] });
+                }
+            }
+        });
+    }
+    return { source, productions, start, ignore, table, conflicts, errors };
+}
+
+/// Writes a symbol the way it would appear in grammar source.
+function formatSymbol(symbol) {
+    return symbol.type === 'literal' ? JSON.stringify(symbol.value) : symbol.value;
+}
+
+function formatAlternative(alternative) {
+    return alternative.length === 0 ? 'ε' : alternative.map(formatSymbol).join(' ');
+}
+
+////////////
+// Parser //
+////////////
+
+/// A parse is a plain object, never mutated, just like a lexing run:
+///
+///     { stack, position, nodes, done, error }
+///
+/// `stack` holds what's still expected, top last, as `{ symbol, node }`; it's null until the
+/// first step pushes the start symbol. `position` is the index of the next token. `nodes` is the
+/// parse tree as a flat list, `{ id, symbol, parent, children, token }`, where `id` is the index
+/// in the list, node 0 is the root, `children` are ids, and `token` is set once a terminal is
+/// matched. `error` explains why the parse failed, if it did.
+function initialParseState() {
+    return { stack: null, position: 0, nodes: [], done: false, error: null };
+}
+
+/// The tokens the parser sees: everything the lexer emitted except the ignored rules.
+function parserTokens(tokens, grammar) {
+    return tokens.filter(token => !grammar.ignore.includes(token.rule));
+}
+
+function describeToken(token) {
+    return token ? `${token.rule} ${JSON.stringify(token.text)}` : 'the end of input';
+}
+
+/// Works out what the next parse step would do. Decisions are one of:
+///
+///     { type: 'start' }                               - push the start symbol
+///     { type: 'expand', nonterminal, alternative }    - replace the nonterminal on top of the
+///                                                       stack with the chosen alternative
+///     { type: 'match', token }                        - the terminal on top matches `token`
+///     { type: 'accept' }                              - the stack and the input are both empty
+///     { type: 'error', message }                      - none of the above
+///     { type: 'done' }                                - the parse has accepted or failed
+function nextParseDecision(grammar, tokens, parse) {
+    if (parse.done) {
+        return { type: 'done' };
+    }
+    if (grammar.errors.length > 0) {
+        return { type: 'error', message: 'the grammar has errors' };
+    }
+    if (parse.stack === null) {
+        return { type: 'start' };
+    }
+
+    const token = tokens[parse.position];
+    if (parse.stack.length === 0) {
+        return token
+            ? { type: 'error', message: `expected the end of input, found ${describeToken(token)}` }
+            : { type: 'accept' };
+    }
+
+    const { symbol } = parse.stack[parse.stack.length - 1];
+    if (symbol.type === 'nonterminal') {
+        const row = grammar.table[symbol.value];
+        const key = lookaheadKeys(token).find(key => row[key] !== undefined);
+        if (key === undefined) {
+            const expected = Object.keys(row).join(', ');
+            return { type: 'error', message: `${symbol.value} can't start with ${describeToken(token)}; expected one of ${expected}` };
+        }
+        if (expandsItselfWithoutInput(parse.nodes, parse.stack[parse.stack.length - 1].node)) {
+            return { type: 'error', message: `${symbol.value} is left-recursive, so it would expand forever without reading ${describeToken(token)}` };
+        }
+        return { type: 'expand', nonterminal: symbol.value, alternative: row[key] };
+    } else if (token && lookaheadKeys(token).includes(terminalKey(symbol))) {
+        return { type: 'match', token };
+    } else {
+        return { type: 'error', message: `expected ${formatSymbol(symbol)}, found ${describeToken(token)}` };
+    }
+}
+
+// Whether the node's nonterminal is already being expanded by an ancestor that hasn't matched a
+// token yet. The table picks alternatives by lookahead alone, so with the same lookahead it would
+// make the same choices again, and so on forever.
+function expandsItselfWithoutInput(nodes, id) {
+    const { symbol } = nodes[id];
+    for (let ancestor = nodes[id].parent; ancestor !== null; ancestor = nodes[ancestor].parent) {
+        if (parseNodeSpan(nodes, ancestor) !== null) {
+            return false;
+        }
+        if (nodes[ancestor].symbol.value === symbol.value) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function applyParseDecision(grammar, parse, decision) {
+    switch (decision.type) {
+        case 'start': {
+            const root = { id: 0, symbol: { type: 'nonterminal', value: grammar.start }, parent: null, children: [], token: null };
+            return { ...parse, stack: [{ symbol: root.symbol, node: 0 }], nodes: [root] };
+        }
+        case 'expand': {
+            const production = grammar.productions.find(production => production.name === decision.nonterminal);
+            const symbols = production.alternatives[decision.alternative];
+            const stack = parse.stack.slice(0, -1);
+            const parentId = parse.stack[parse.stack.length - 1].node;
+
+            // An empty alternative still gets a node, so the tree shows that ε was chosen.
+            const childSymbols = symbols.length === 0 ? [{ type: 'epsilon', value: 'ε' }] : symbols;
+            const children = childSymbols.map((symbol, i) => ({
+                id: parse.nodes.length + i,
+                symbol,
+                parent: parentId,
+                children: [],
+                token: null,
+            }));
+            const nodes = parse.nodes.map(node => node.id === parentId ? { ...node, children: children.map(child => child.id) } : node);
+            nodes.push(...children);
+
+            for (let i = symbols.length - 1; i >= 0; i--) {
+                stack.push({ symbol: symbols[i], node: children[i].id });
+            }
+            return { ...parse, stack, nodes };
+        }
+        case 'match': {
+            const { node: nodeId } = parse.stack[parse.stack.length - 1];
+            return {
+                ...parse,
+                stack: parse.stack.slice(0, -1),
+                position: parse.position + 1,
+                nodes: parse.nodes.map(node => node.id === nodeId ? { ...node, token: decision.token } : node),
+            };
+        }
+        case 'accept':
+            return { ...parse, done: true };
+        case 'error':
+            return { ...parse, done: true, error: decision.message };
+        case 'done':
+            return parse;
+    }
+}
+
+function parseStep(grammar, tokens, parse) {
+    return applyParseDecision(grammar, parse, nextParseDecision(grammar, tokens, parse));
+}
+
+/// The source span `{ start, end }` covered by the tokens matched under a node so far, or null if
+/// it hasn't matched any yet.
+function parseNodeSpan(nodes, id) {
+    const node = nodes[id];
+    if (node.token) {
+        return { start: node.token.start, end: node.token.end };
+    }
+
+    let span = null;
+    for (let childId of node.children) {
+        const childSpan = parseNodeSpan(nodes, childId);
+        if (childSpan) {
+            span = span
+                ? { start: Math.min(span.start, childSpan.start), end: Math.max(span.end, childSpan.end) }
+                : childSpan;
+        }
+    }
+    return span;
+}
+
+// See the note at the bottom of lexer.js.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createGrammar,
+        formatSymbol,
+        formatAlternative,
+        initialParseState,
+        parserTokens,
+        nextParseDecision,
+        applyParseDecision,
+        parseStep,
+        parseNodeSpan,
+    };
+}
@@ -0,0 +1,416 @@
+/// Token specs from other tools: importing lex/flex `.l` files and moo-style `{ name: /regex/ }`
+/// objects as token rules, and exporting token rules as a standalone JS lexer module. It loads
+/// the same way lexer.js does, after it.
+
+'use strict';
+
+// The lexer functions a generated module needs, which are globals in the browser. Their source
+// is copied in as is, so it lexes exactly as the app does.
+const lexerCore = typeof module !== 'undefined' && module.exports
+    ? require('./lexer.js')
+    : {
+        regexLongerMatcher, notWhitespace, matchingRules, predicateLookahead, someRuleMatchesLonger, initialLexState,
+        nextCharIndex, charAt, recoveryStrategies, errorTokenRule, nextLexDecision, recoveryDecision, applyLexDecision,
+        lex,
+    };
+
+///////////////
+// Importing //
+///////////////
+
+/// Imports either kind of spec, telling them apart by flex's `%%` section separator. Both
+/// importers return `{ tokenRules, warnings }`, where `tokenRules` are serialized rules (see
+/// `serializeTokenRule`) in the spec's order, which is also their priority, and `warnings` list
+/// whatever couldn't be brought across.
+function importTokenSpec(text) {
+    return isFlexSpec(text) ? importFlexSpec(text) : importMooSpec(text);
+}
+
+/// Whether `importTokenSpec` reads `text` as a flex spec. Anything else is a moo spec, which is
+/// JavaScript and runs when imported.
+function isFlexSpec(text) {
+    return /^%%[ \t]*$/m.test(text);
+}
+
+function importedRule(name, matcherSource) {
+    return { name, matcherType: 'regex', matcherSource, examples: [], counterExamples: [] };
+}
+
+function escapeRegex(text) {
+    return text.replace(/[\\^$.*+?()[\]{}|/]/g, '\\$&');
+}
+
+/// A flex spec is definitions, `%%`, rules, and optionally `%%` and user code. Definitions are
+/// `NAME pattern` lines, used in patterns as `{NAME}`. Rules are a pattern at the start of a line
+/// followed by a C action. A rule's name is the token its action returns: `return NUMBER;` makes
+/// a `NUMBER` rule, returning a character (`return '+';`, `return yytext[0];`) makes a `literal`
+/// rule, and actions that return nothing make `skip` rules, which a grammar can `%ignore`.
+///
+/// Start conditions, `<<EOF>>`, trailing context and anchors have no equivalent here, so those
+/// rules are left out with a warning.
+function importFlexSpec(text) {
+    const [definitionSection, ruleSection] = text.split(/^%%[ \t]*$/m);
+    if (ruleSection === undefined) {
+        throw new Error(`a flex spec needs a '%%' line before its rules`);
+    }
+
+    const warnings = [];
+    const definitions = new Map();
+    for (let { line, lineNumber } of flexLines(definitionSection)) {
+        const match = /^([A-Za-z_][\w-]*)\s+(\S.*)$/.exec(line);
+        if (match) {
+            definitions.set(match[1], match[2].trim());
+        } else if (!line.startsWith('%')) {
+            warnings.push(`line ${lineNumber}: ignoring '${line}'`);
+        }
+    }
+
+    // Line numbers count from the start of the file. The rule section starts on the `%%` line.
+    const firstRuleLine = definitionSection.split('\n').length;
+    const tokenRules = [];
+    // Rules whose action is `|` share the next rule's action.
+    let waitingForAction = [];
+    for (let { line, lineNumber } of flexLines(ruleSection, firstRuleLine)) {
+        const patternEnd = flexPatternEnd(line);
+        const pattern = line.slice(0, patternEnd);
+        const action = line.slice(patternEnd).trim();
+
+        let matcherSource = null;
+        try {
+            matcherSource = flexPatternToRegex(pattern, definitions);
+        } catch (e) {
+            warnings.push(`line ${lineNumber}: skipping ${pattern}: ${e.message}`);
+        }
+
+        if (action === '|') {
+            waitingForAction.push(matcherSource);
+            continue;
+        }
+        const name = flexActionTokenName(action);
+        for (let source of [...waitingForAction, matcherSource]) {
+            if (source !== null) {
+                tokenRules.push(importedRule(name, source));
+            }
+        }
+        waitingForAction = [];
+    }
+    return { tokenRules, warnings };
+}
+
+/// The lines of a flex section that hold definitions or rules, as `{ line, lineNumber }`. Skips
+/// blank lines, `%{ ... %}` code blocks, comments, and indented lines (which flex copies out as
+/// code), and joins an action's `{ ... }` block onto its rule's line.
+function* flexLines(section, firstLineNumber = 1) {
+    const lines = section.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+        const lineNumber = firstLineNumber + i;
+        let line = lines[i];
+
+        if (line.startsWith('%{')) {
+            while (i < lines.length && !lines[i].startsWith('%}')) {
+                i++;
+            }
+            continue;
+        }
+        if (line.trim() === '' || /^\s/.test(line) || line.startsWith('/*') || line.startsWith('//')) {
+            continue;
+        }
+
+        let depth = braceDepth(line.slice(flexPatternEnd(line)));
+        while (depth > 0 && i + 1 < lines.length) {
+            i++;
+            line += '\n' + lines[i];
+            depth += braceDepth(lines[i]);
+        }
+        yield { line: line.trimEnd(), lineNumber };
+    }
+}
+
+// How much deeper `code` leaves the braces, ignoring any in strings.
+function braceDepth(code) {
+    const withoutStrings = code.replace(/"(\\.|[^"\\])*"|'(\\.|[^'\\])*'/g, '');
+    return (withoutStrings.match(/{/g) || []).length - (withoutStrings.match(/}/g) || []).length;
+}
+
+// Flex patterns end at the first whitespace outside quotes and character classes.
+function flexPatternEnd(line) {
+    let i = 0;
+    while (i < line.length && !/\s/.test(line[i])) {
+        if (line[i] === '\\') {
+            i += 2;
+        } else if (line[i] === '"') {
+            i = skipFlexQuoted(line, i);
+        } else if (line[i] === '[') {
+            i = skipFlexClass(line, i);
+        } else {
+            i += 1;
+        }
+    }
+    return Math.min(i, line.length);
+}
+
+// The index after the quoted string starting at `i`.
+function skipFlexQuoted(pattern, i) {
+    i += 1;
+    while (i < pattern.length && pattern[i] !== '"') {
+        i += pattern[i] === '\\' ? 2 : 1;
+    }
+    return i + 1;
+}
+
+// The index after the character class starting at `i`. A `]` right after `[` or `[^` is literal.
+function skipFlexClass(pattern, i) {
+    i += 1;
+    if (pattern[i] === '^') {
+        i += 1;
+    }
+    if (pattern[i] === ']') {
+        i += 1;
+    }
+    while (i < pattern.length && pattern[i] !== ']') {
+        if (pattern[i] === '\\') {
+            i += 2;
+        } else if (pattern.startsWith('[:', i)) {
+            i = pattern.indexOf(':]', i) + 2;
+        } else {
+            i += 1;
+        }
+    }
+    return i + 1;
+}
+
+const posixClasses = {
+    alpha: 'a-zA-Z',
+    digit: '0-9',
+    alnum: 'a-zA-Z0-9',
+    upper: 'A-Z',
+    lower: 'a-z',
+    space: ' \\t\\n\\r\\f\\v',
+    blank: ' \\t',
+    punct: '!-\\/:-@\\[-`{-~',
+    xdigit: '0-9A-Fa-f',
+    cntrl: '\\x00-\\x1f\\x7f',
+    print: ' -~',
+    graph: '!-~',
+};
+
+/// Translates a flex pattern into the regex source a token rule uses. Throws on the parts of flex
+/// that a token rule can't express.
+function flexPatternToRegex(pattern, definitions, expanding = []) {
+    if (pattern === '<<EOF>>') {
+        throw new Error('end-of-file rules have no equivalent');
+    } else if (pattern.startsWith('<')) {
+        throw new Error('start conditions are not supported');
+    }
+
+    let regex = '';
+    let i = 0;
+    while (i < pattern.length) {
+        const char = pattern[i];
+        if (char === '"') {
+            const end = skipFlexQuoted(pattern, i);
+            const text = unescapeFlex(pattern.slice(i + 1, end - 1));
+            regex += text.length === 1 ? escapeRegex(text) : `(?:${escapeRegex(text)})`;
+            i = end;
+        } else if (char === '[') {
+            const end = skipFlexClass(pattern, i);
+            regex += pattern.slice(i, end).replace(/\[:(\w+):\]/g, (whole, name) => posixClasses[name] || whole);
+            i = end;
+        } else if (char === '{' && /^\{[A-Za-z_][\w-]*\}/.test(pattern.slice(i))) {
+            const end = pattern.indexOf('}', i) + 1;
+            const name = pattern.slice(i + 1, end - 1);
+            if (!definitions.has(name)) {
+                throw new Error(`{${name}} isn't defined`);
+            } else if (expanding.includes(name)) {
+                throw new Error(`{${name}} is defined in terms of itself`);
+            }
+            regex += `(?:${flexPatternToRegex(definitions.get(name), definitions, [...expanding, name])})`;
+            i = end;
+        } else if (char === '\\') {
+            regex += pattern.slice(i, i + 2);
+            i += 2;
+        } else if (char === '.') {
+            regex += '[^\\n]';
+            i += 1;
+        } else if (char === '/') {
+            throw new Error('trailing context is not supported');
+        } else if ((char === '^' && i === 0) || (char === '$' && i === pattern.length - 1)) {
+            throw new Error('anchors are not supported');
+        } else {
+            regex += char;
+            i += 1;
+        }
+    }
+    return regex;
+}
+
+function unescapeFlex(text) {
+    const escapes = { n: '\n', t: '\t', r: '\r', f: '\f', v: '\v', b: '\b', a: '\x07' };
+    return text.replace(/\\(.)/g, (_whole, char) => escapes[char] || char);
+}
+
+function flexActionTokenName(action) {
+    const named = /\breturn\s*\(?\s*([A-Za-z_]\w*)\s*\)?\s*;/.exec(action);
+    if (named && named[1] !== 'yytext') {
+        return named[1];
+    } else if (/\breturn\b/.test(action)) {
+        return 'literal';
+    } else {
+        return 'skip';
+    }
+}
+
+/// A moo spec is the object passed to `moo.compile`: `{ name: match }`, where `match` is a regex,
+/// a string, a list of either, or `{ match, ... }`. The whole `moo.compile(...)` call, or a
+/// variable holding the object, can be pasted in as is. `moo.keywords` become rules of their own
+/// ahead of the rule using them, which gives the same result under maximal munch. Regex flags,
+/// `moo.error` and `moo.fallback` rules, and lexer states have no equivalent here.
+///
+/// Note that moo picks the first rule that matches rather than the longest match, so specs that
+/// rely on rule order to prefer a shorter match lex differently here.
+function importMooSpec(text) {
+    const start = text.search(/[{[]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    if (start === -1 || end < start) {
+        throw new Error(`expected a moo spec like '{ name: /regex/ }'`);
+    }
+
+    // The spec is code, the same as predicate matchers, so it's run the same way. `moo` is stood in
+    // for, so calls to its helpers evaluate to markers.
+    const mooStandIn = {
+        keywords: (keywords) => ({ keywords }),
+        states: () => {
+            throw new Error('lexer states are not supported; import one state at a time');
+        },
+        error: { error: true },
+        fallback: { fallback: true },
+    };
+    let spec;
+    try {
+        spec = new Function('moo', `return (${text.slice(start, end + 1)});`)(mooStandIn);
+    } catch (e) {
+        throw new Error(`couldn't read the moo spec: ${e.message}`);
+    }
+
+    // The old array form: `[{ type, match }, ...]`.
+    const entries = Array.isArray(spec)
+        ? spec.map(({ type, name, ...options }) => [type || name, options])
+        : Object.entries(spec);
+
+    const tokenRules = [];
+    const warnings = [];
+    for (let [name, value] of entries) {
+        const options = isMatchOptions(value) ? value : { match: value };
+        if (options.error || options.fallback) {
+            warnings.push(`${name}: error and fallback rules are left out; pick a recovery strategy instead`);
+            continue;
+        }
+
+        const type = options.type && options.type.keywords;
+        if (type) {
+            for (let [keywordName, keywords] of Object.entries(type)) {
+                const list = Array.isArray(keywords) ? keywords : [keywords];
+                tokenRules.push(importedRule(keywordName, list.map(escapeRegex).join('|')));
+            }
+        }
+
+        try {
+            tokenRules.push(importedRule(name, mooMatchToRegex(options.match, name, warnings)));
+        } catch (e) {
+            warnings.push(`${name}: ${e.message}`);
+        }
+    }
+    return { tokenRules, warnings };
+}
+
+function isMatchOptions(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+}
+
+function mooMatchToRegex(match, name, warnings) {
+    if (typeof match === 'string') {
+        return escapeRegex(match);
+    } else if (match instanceof RegExp) {
+        if (match.flags.replace(/[uy]/g, '') !== '') {
+            warnings.push(`${name}: the /${match.flags} flags are ignored`);
+        }
+        return match.source;
+    } else if (Array.isArray(match) && match.length > 0) {
+        return match.map(item => mooMatchToRegex(item, name, warnings)).join('|');
+    } else {
+        throw new Error('expected a regex, a string, or a list of them');
+    }
+}
+
+///////////////
+// Exporting //
+///////////////
+
+/// The source of an ES module that lexes with `rules`, with no dependencies:
+///
+///     import { tokenize } from './lexer.mjs';
+///     const { tokens, errors, stuckAt } = tokenize(source, { recovery: 'error-token' });
+///
+/// It works just like `lex` here: tokens are `{ rule, text, start, end }`, and without a
+/// `recovery` strategy lexing stops at the first character no rule matches.
+function exportLexerModule(rules) {
+    const exportedFunctions = [
+        'regexLongerMatcher', 'notWhitespace', 'matchingRules', 'someRuleMatchesLonger', 'initialLexState',
+        'nextCharIndex', 'charAt', 'nextLexDecision', 'recoveryDecision', 'applyLexDecision', 'lex',
+    ];
+    const ruleLines = rules.map(({ name, matcherType, matcherSource }) => {
+        if (matcherType === 'regex') {
+            const source = JSON.stringify(matcherSource);
+            return `    { name: ${JSON.stringify(name)}, matcher: regexMatcher(${source}), longerMatcher: regexLongerMatcher(${source}) },`;
+        }
+        return `    { name: ${JSON.stringify(name)}, matcher: predicateMatcher(${matcherSource}) },`;
+    });
+
+    return `// A lexer generated by vizparse. Rules are tried in order, so the first rule listed wins when
+// several match the longest candidate.
+
+function regexMatcher(source) {
+    const regex = new RegExp(\`^(?:\${source})$\`);
+    return (chars) => regex.test(chars);
+}
+
+// A predicate that throws simply doesn't match.
+function predicateMatcher(predicate) {
+    return (chars) => {
+        try {
+            return !!predicate(chars);
+        } catch (_e) {
+            return false;
+        }
+    };
+}
+
+export const rules = [
+${ruleLines.join('\n')}
+];
+
+export const recoveryStrategies = ${JSON.stringify(lexerCore.recoveryStrategies)};
+const errorTokenRule = ${JSON.stringify(lexerCore.errorTokenRule)};
+const predicateLookahead = ${lexerCore.predicateLookahead};
+
+${exportedFunctions.map(name => lexerCore[name].toString()).join('\n\n')}
+
+/// Lexes the whole of \`source\`. Returns \`{ tokens, errors, stuckAt }\`; \`recovery\` is one of
+/// \`recoveryStrategies\`.
+export function tokenize(source, { recovery } = {}) {
+    return lex(source, rules, { recovery });
+}
+`;
+}
+
+// See the note at the bottom of lexer.js.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        importTokenSpec,
+        isFlexSpec,
+        importFlexSpec,
+        importMooSpec,
+        flexPatternToRegex,
+        exportLexerModule,
+    };
+}
@@ -0,0 +1,87 @@
+/// Loads the app for tests: a fresh window from dom.js, with the scripts index.html loads run in
+/// it, in the same order. Nothing needs installing; run the tests with `npm test`.
+///
+/// Frames only run when a test says so, with `frame()`, or `settle()` to run them until the app
+/// goes idle. Errors the app logs are collected in `errors` rather than printed, so tests can
+/// check that there weren't any.
+///
+/// The app runs in its own realm, so objects made in a test have a different `Object.prototype`.
+/// Where the store looks inside objects, as it does for nested paths like `codeExamples.default`,
+/// make them in the app with `evaluate()`.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createWindow, Event } = require('./dom.js');
+
+const root = path.join(__dirname, '..');
+
+function scriptsOf(html) {
+    const uncommented = html.replace(/<!--[\s\S]*?-->/g, '');
+    return [...uncommented.matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+}
+
+/// Starts the app. `hash` is the URL's hash, as in '#page=source', and `storage` is put in
+/// localStorage first, as a previous visit would have left it. The app is served from `host`,
+/// which is local, and so in dev mode, unless a test says otherwise.
+function loadApp({ hash = '', storage = {}, host = 'localhost' } = {}) {
+    const window = createWindow({ url: `http://${host}/${hash}` });
+    const { document } = window;
+    const appEl = document.createElement('div');
+    appEl.id = 'app';
+    document.body.append(appEl);
+    for (let [key, value] of Object.entries(storage)) {
+        window.localStorage.setItem(key, value);
+    }
+
+    const errors = [];
+    const warnings = [];
+    const format = (args) => args.map(arg => arg instanceof Error || (arg && arg.stack) ? arg.message : String(arg)).join(' ');
+    window.console = {
+        ...console,
+        error: (...args) => errors.push(format(args)),
+        warn: (...args) => warnings.push(format(args)),
+    };
+
+    vm.createContext(window);
+    for (let src of scriptsOf(fs.readFileSync(path.join(root, 'index.html'), 'utf8'))) {
+        const filename = path.join(root, src);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), window, { filename });
+    }
+
+    const app = {
+        window,
+        document,
+        errors,
+        warnings,
+        state: vm.runInContext('state', window),
+        /// Runs code in the app's global scope, where its functions and constants live.
+        evaluate: (code) => vm.runInContext(code, window),
+        /// Runs one animation frame, returning how many callbacks it ran.
+        frame: (timestamp) => window.runFrame(timestamp),
+        /// Runs frames until none are requested, which is when everything's been drawn. Throws if
+        /// the app keeps asking for more, as an animation would.
+        settle(maxFrames = 100) {
+            for (let i = 0; i < maxFrames; i++) {
+                if (app.frame() === 0) {
+                    return;
+                }
+            }
+            throw new Error(`the app was still requesting frames after ${maxFrames}`);
+        },
+        /// The subscribed component with the given name.
+        component(name) {
+            const entry = app.state.subscribedComponents.find(([, , opts]) => opts.name === name);
+            return entry ? entry[0] : null;
+        },
+        /// Sends a key press to `target`, the focused element by default.
+        press(key, init = {}, target = document.activeElement) {
+            return target.dispatchEvent(new Event('keydown', { key, bubbles: true, cancelable: true, ...init }));
+        },
+    };
+    return app;
+}
+
+module.exports = { loadApp };
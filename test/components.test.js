@@ -0,0 +1,255 @@
+/// The markup components draw, and what clicking and typing on it does: CharacterView's grid of
+/// chars and ExampleSwitcher's list of examples.
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./app.js');
+const { Event } = require('./dom.js');
+
+// Starts the app on the lexing page with `source` as the only example.
+function appWithSource(source) {
+    const app = loadApp({ hash: '#page=lexing' });
+    app.settle();
+    app.evaluate(`state.setData({ codeExamples: { tiny: ${JSON.stringify(source)} }, ...selectExampleData('tiny') })`);
+    app.settle();
+    return app;
+}
+
+function buttonNamed(app, text) {
+    return Array.from(app.document.querySelectorAll('button')).find(button => button.textContent === text);
+}
+
+test('CharacterView draws a cell per character, with ids at their string index', () => {
+    const app = appWithSource('a<b\tc\nd😀e');
+    const view = app.document.getElementById('character-view');
+    const rows = view.querySelectorAll('[role="row"]');
+    assert.equal(rows.length, 2);
+
+    const cells = Array.from(view.querySelectorAll('.char'));
+    assert.deepEqual(cells.map(cell => cell.id), [
+        'char-0', 'char-1', 'char-2', 'char-3', 'char-4', 'char-5', 'char-6', 'char-7', 'char-9',
+    ]);
+    assert.deepEqual(cells.map(cell => cell.textContent), ['a', '<', 'b', '⇥', 'c', '↵', 'd', '😀', 'e']);
+    assert.ok(cells.every(cell => cell.getAttribute('role') === 'gridcell'));
+    assert.equal(app.errors.length, 0);
+});
+
+test('CharacterView escapes the characters it draws', () => {
+    const app = appWithSource('a<b');
+    const cell = app.document.getElementById('char-1');
+    assert.equal(cell.innerHTML, '&lt;');
+    assert.match(cell.outerHTML, /^<div [^>]*id="char-1"[^>]*>&lt;<\/div>$/);
+});
+
+test('CharacterView marks tabs and line breaks as control characters', () => {
+    const app = appWithSource('a\tb\nc');
+    const { document } = app;
+    assert.ok(document.getElementById('char-1').classList.contains('control'));
+    assert.ok(document.getElementById('char-3').classList.contains('control'));
+    assert.ok(!document.getElementById('char-0').classList.contains('control'));
+    assert.equal(document.getElementById('char-3').dataset.position, 'line 1, column 4');
+    assert.equal(document.getElementById('char-4').dataset.position, 'line 2, column 1');
+});
+
+test('CharacterView moves the selection as the lexer steps', () => {
+    const app = appWithSource('let x');
+    const { document } = app;
+    assert.ok(document.getElementById('char-0').classList.contains('selected'));
+    assert.equal(document.getElementById('char-0').getAttribute('aria-current'), 'true');
+
+    buttonNamed(app, 'Next Char').click();
+    app.settle();
+    assert.ok(!document.getElementById('char-0').classList.contains('selected'));
+    assert.equal(document.getElementById('char-0').getAttribute('aria-current'), null);
+    assert.ok(document.getElementById('char-0').classList.contains('candidate'));
+    assert.ok(document.getElementById('char-1').classList.contains('selected'));
+});
+
+test('CharacterView redraws when the source changes', () => {
+    const app = appWithSource('ab');
+    app.evaluate("state.setData({ codeExamples: { tiny: 'xyz' }, ...resetLexData() })");
+    app.settle();
+    const cells = Array.from(app.document.querySelectorAll('#character-view .char'));
+    assert.deepEqual(cells.map(cell => cell.textContent), ['x', 'y', 'z']);
+});
+
+test('clicking a character toggles a breakpoint on it', () => {
+    const app = appWithSource('abc');
+    const cell = app.document.getElementById('char-2');
+    cell.click();
+    app.settle();
+    assert.deepEqual([...app.state.data.breakpoints], [2]);
+    assert.ok(cell.classList.contains('breakpoint'));
+    assert.match(cell.getAttribute('aria-label'), /breakpoint$/);
+
+    cell.click();
+    app.settle();
+    assert.deepEqual([...app.state.data.breakpoints], []);
+    assert.ok(!cell.classList.contains('breakpoint'));
+});
+
+test('the character grid can be walked with the arrow keys', () => {
+    const app = appWithSource('ab\ncd');
+    const view = app.document.getElementById('character-view');
+    view.focus();
+    app.settle();
+    assert.equal(view.getAttribute('aria-activedescendant'), 'char-0');
+
+    app.press('ArrowRight', {}, view);
+    app.press('ArrowDown', {}, view);
+    app.settle();
+    assert.equal(view.getAttribute('aria-activedescendant'), 'char-4');
+    assert.ok(app.document.getElementById('char-4').classList.contains('active'));
+
+    app.press('Enter', {}, view);
+    app.settle();
+    assert.deepEqual([...app.state.data.breakpoints], [4]);
+});
+
+test('TokenStream redraws when the tokens are replaced by as many or more', () => {
+    const app = appWithSource('x y');
+    const lexTo = (source) => app.evaluate(`state.setData({
+        codeExamples: { tiny: ${JSON.stringify(source)} },
+        tokens: lex(${JSON.stringify(source)}, state.data.tokenRules).tokens,
+    })`);
+    const shown = () => Array.from(app.document.querySelectorAll('.token-stream .token-text'), span => span.textContent);
+
+    lexTo('x y');
+    app.settle();
+    assert.deepEqual(shown(), ['"x"', '" "', '"y"']);
+
+    lexTo('1 + 22');
+    app.settle();
+    assert.deepEqual(shown(), ['"1"', '" "', '"+"', '" "', '"22"']);
+});
+
+test('ExampleSwitcher lists every example and selects the current one', () => {
+    const app = loadApp({ hash: '#page=lexing' });
+    app.settle();
+    app.evaluate("state.setData({ codeExamples: { one: '1', two: '2', three: '3' }, ...selectExampleData('two') })");
+    app.settle();
+
+    const select = app.document.querySelector('.example-switcher select');
+    assert.deepEqual(Array.from(select.options, option => option.value), ['one', 'two', 'three']);
+    assert.equal(select.value, 'two');
+    assert.equal(buttonNamed(app, 'Delete').disabled, false);
+});
+
+test('choosing an example selects it and starts the lexer over', () => {
+    const app = appWithSource('abc');
+    app.evaluate("state.setData({ codeExamples: { ...state.data.codeExamples, other: 'xyz' } })");
+    buttonNamed(app, 'Next Char').click();
+    app.settle();
+    assert.equal(app.state.data.currentCharIndex, 1);
+
+    const select = app.document.querySelector('.example-switcher select');
+    select.value = 'other';
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    app.settle();
+    assert.equal(app.state.data.selectedCodeExample, 'other');
+    assert.equal(app.state.data.currentCharIndex, 0);
+    assert.deepEqual(Array.from(app.document.querySelectorAll('#character-view .char'), cell => cell.textContent), ['x', 'y', 'z']);
+});
+
+test('New asks for a name, and turns down ones already taken', () => {
+    const app = appWithSource('abc');
+    const alerts = [];
+    app.window.alert = message => alerts.push(message);
+
+    app.window.prompt = () => 'tiny';
+    buttonNamed(app, 'New').click();
+    app.settle();
+    assert.deepEqual(alerts, ["there is already an example called 'tiny'"]);
+    assert.deepEqual(Object.keys(app.state.data.codeExamples), ['tiny']);
+
+    app.window.prompt = () => 'fresh';
+    buttonNamed(app, 'New').click();
+    app.settle();
+    const select = app.document.querySelector('.example-switcher select');
+    assert.deepEqual(Array.from(select.options, option => option.value), ['tiny', 'fresh']);
+    assert.equal(select.value, 'fresh');
+    assert.equal(app.state.data.codeExamples.fresh, '');
+});
+
+test('Delete asks first, and is disabled for the last example', () => {
+    const app = appWithSource('abc');
+    buttonNamed(app, 'Duplicate').click();
+    app.settle();
+    const select = app.document.querySelector('.example-switcher select');
+    assert.deepEqual(Array.from(select.options, option => option.value), ['tiny', 'tiny copy']);
+
+    app.window.confirm = () => false;
+    buttonNamed(app, 'Delete').click();
+    app.settle();
+    assert.equal(select.options.length, 2);
+
+    app.window.confirm = () => true;
+    buttonNamed(app, 'Delete').click();
+    app.settle();
+    assert.deepEqual(Array.from(select.options, option => option.value), ['tiny']);
+    assert.equal(buttonNamed(app, 'Delete').disabled, true);
+});
+
+test('going back in the lexer past what the parser read starts the parse over', () => {
+    const app = appWithSource('1 + 2');
+    buttonNamed(app, 'Run to End').click();
+    app.settle();
+    app.state.setData({ currentPage: 'parsing' });
+    app.settle();
+    buttonNamed(app, 'Parse to End').click();
+    app.settle();
+    assert.equal(app.state.data.parse.done, true);
+
+    app.state.setData({ currentPage: 'lexing' });
+    buttonNamed(app, 'Previous Token').click();
+    app.settle();
+    buttonNamed(app, 'Previous Token').click();
+    app.settle();
+    assert.equal(app.state.data.parse.stack, null);
+    assert.equal(app.state.data.parse.done, false);
+    assert.equal(app.errors.length, 0);
+});
+
+test('on the lexing page, the source editor caret and the lexer follow each other', () => {
+    const app = appWithSource('let x = 1');
+    const { document } = app;
+    const input = document.querySelector('.source-input');
+    assert.ok(input.closest('.page[data-page="lexing"]'));
+
+    buttonNamed(app, 'Next Token').click();
+    app.settle();
+    const afterStep = app.state.data.currentCharIndex;
+    assert.ok(afterStep > 0);
+    assert.equal(input.selectionStart, afterStep);
+    assert.equal(input.selectionEnd, afterStep);
+
+    input.setSelectionRange(6, 6);
+    input.dispatchEvent(new Event('mouseup', { bubbles: true }));
+    app.settle();
+    assert.equal(app.state.data.currentCharIndex, 6);
+    assert.ok(document.getElementById('char-6').classList.contains('selected'));
+});
+
+test('importing a moo spec asks first, and runs nothing if turned down', () => {
+    const app = appWithSource('abc');
+    const rules = app.state.data.tokenRules;
+    const questions = [];
+    app.window.confirm = (question) => {
+        questions.push(question);
+        return false;
+    };
+    app.component('RuleSpace').importSpec('rules.js', '({ word: (globalThis.ran = true, /[a-z]+/) })');
+    app.settle();
+    assert.equal(questions.length, 1);
+    assert.match(questions[0], /JavaScript that will run in this page/);
+    assert.equal(app.window.ran, undefined);
+    assert.equal(app.state.data.tokenRules, rules);
+
+    app.window.confirm = () => true;
+    app.component('RuleSpace').importSpec('rules.js', '({ word: (globalThis.ran = true, /[a-z]+/) })');
+    app.settle();
+    assert.equal(app.window.ran, true);
+    assert.deepEqual(Array.from(app.state.data.tokenRules, rule => rule.name), ['word']);
+});
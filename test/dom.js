@@ -0,0 +1,712 @@
+/// Just enough of the DOM for the app's scripts to run in Node, without a browser or any
+/// packages. It covers what index.js uses and nothing more: elements and text, attributes,
+/// classes, events that bubble, simple selectors, and the form controls' values. There's no
+/// layout, so sizes are all 0, and no HTML parsing; `innerHTML` can only be cleared, though it
+/// can be read, which is how tests check markup.
+///
+/// `createWindow` builds a window around a document. Its `requestAnimationFrame` only queues
+/// callbacks; `runFrame` runs them, so tests decide exactly when frames happen.
+
+'use strict';
+
+const voidElements = new Set(['input', 'br', 'hr', 'img', 'meta', 'link']);
+// Attributes that are true just by being there.
+const booleanAttributes = { hidden: 'hidden', disabled: 'disabled', readOnly: 'readonly', open: 'open', multiple: 'multiple' };
+// Properties that read and write an attribute of another name, or the same one.
+const reflectedAttributes = {
+    id: 'id', className: 'class', title: 'title', type: 'type', name: 'name', placeholder: 'placeholder',
+    accept: 'accept', href: 'href', download: 'download', min: 'min', max: 'max', step: 'step',
+    wrap: 'wrap', htmlFor: 'for', spellcheck: 'spellcheck',
+};
+
+class Event {
+    constructor(type, init = {}) {
+        Object.assign(this, { bubbles: false, cancelable: false, key: '', shiftKey: false, ctrlKey: false, metaKey: false, altKey: false }, init);
+        this.type = type;
+        this.target = null;
+        this.currentTarget = null;
+        this.defaultPrevented = false;
+        this.propagationStopped = false;
+    }
+
+    preventDefault() {
+        if (this.cancelable) {
+            this.defaultPrevented = true;
+        }
+    }
+
+    stopPropagation() {
+        this.propagationStopped = true;
+    }
+}
+
+class EventTarget {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    addEventListener(type, listener) {
+        const listeners = this.listeners.get(type) || [];
+        if (!listeners.includes(listener)) {
+            this.listeners.set(type, [...listeners, listener]);
+        }
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners.set(type, (this.listeners.get(type) || []).filter(other => other !== listener));
+    }
+
+    // The targets an event visits, innermost first: this, its ancestors, then the window.
+    eventPath() {
+        return [this];
+    }
+
+    /// Runs the listeners along the event's path, including `on<type>` properties. Returns false
+    /// if the default was prevented, like the real thing.
+    dispatchEvent(event) {
+        event.target = this;
+        for (let target of this.eventPath()) {
+            event.currentTarget = target;
+            for (let listener of target.listeners.get(event.type) || []) {
+                listener.call(target, event);
+            }
+            if (typeof target[`on${event.type}`] === 'function') {
+                target[`on${event.type}`](event);
+            }
+            if (!event.bubbles || event.propagationStopped) {
+                break;
+            }
+        }
+        event.currentTarget = null;
+        return !event.defaultPrevented;
+    }
+}
+
+class Node extends EventTarget {
+    constructor(ownerDocument) {
+        super();
+        this.ownerDocument = ownerDocument;
+        this.parentNode = null;
+        this.childNodes = [];
+    }
+
+    eventPath() {
+        const path = [];
+        for (let node = this; node; node = node.parentNode) {
+            path.push(node);
+        }
+        if (path[path.length - 1] === this.ownerDocument && this.ownerDocument.defaultView) {
+            path.push(this.ownerDocument.defaultView);
+        }
+        return path;
+    }
+
+    get children() {
+        return this.childNodes.filter(node => node instanceof Element);
+    }
+
+    get firstChild() {
+        return this.childNodes[0] || null;
+    }
+
+    get isConnected() {
+        let node = this;
+        while (node.parentNode) {
+            node = node.parentNode;
+        }
+        return node === this.ownerDocument;
+    }
+
+    get textContent() {
+        return this.childNodes.map(node => node.textContent).join('');
+    }
+
+    set textContent(text) {
+        this.replaceChildren();
+        if (text !== '' && text !== null && text !== undefined) {
+            this.append(String(text));
+        }
+    }
+
+    contains(other) {
+        for (let node = other; node; node = node.parentNode) {
+            if (node === this) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Strings become text nodes, and nodes are moved from wherever they were.
+    adopt(nodes) {
+        return nodes.map(node => {
+            if (!(node instanceof Node)) {
+                return this.ownerDocument.createTextNode(String(node));
+            }
+            node.remove();
+            node.parentNode = this;
+            return node;
+        });
+    }
+
+    append(...nodes) {
+        this.childNodes.push(...this.adopt(nodes));
+    }
+
+    prepend(...nodes) {
+        this.childNodes.unshift(...this.adopt(nodes));
+    }
+
+    appendChild(node) {
+        this.append(node);
+        return node;
+    }
+
+    replaceChildren(...nodes) {
+        for (let node of this.childNodes) {
+            node.parentNode = null;
+        }
+        this.childNodes = [];
+        this.append(...nodes);
+    }
+
+    before(...nodes) {
+        const parent = this.parentNode;
+        if (parent) {
+            const adopted = parent.adopt(nodes);
+            parent.childNodes.splice(parent.childNodes.indexOf(this), 0, ...adopted);
+        }
+    }
+
+    remove() {
+        if (this.parentNode) {
+            const siblings = this.parentNode.childNodes;
+            siblings.splice(siblings.indexOf(this), 1);
+            this.parentNode = null;
+        }
+    }
+}
+
+class Text extends Node {
+    constructor(ownerDocument, data) {
+        super(ownerDocument);
+        this.data = data;
+    }
+
+    get textContent() {
+        return this.data;
+    }
+
+    set textContent(text) {
+        this.data = String(text);
+    }
+}
+
+// A compound selector such as `li.token[data-id="3"]`, as a predicate on elements.
+function compileCompound(compound) {
+    const checks = [];
+    const pattern = /([a-zA-Z][\w-]*)|#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:="([^"]*)")?\]|\*/gy;
+    let match;
+    while (pattern.lastIndex < compound.length && (match = pattern.exec(compound))) {
+        const [, tag, id, className, attribute, value] = match;
+        if (tag) {
+            checks.push(el => el.localName === tag.toLowerCase());
+        } else if (id) {
+            checks.push(el => el.id === id);
+        } else if (className) {
+            checks.push(el => el.classList.contains(className));
+        } else if (attribute) {
+            checks.push(el => value === undefined ? el.hasAttribute(attribute) : el.getAttribute(attribute) === value);
+        }
+    }
+    if (pattern.lastIndex !== compound.length) {
+        throw new Error(`the DOM shim can't handle the selector '${compound}'`);
+    }
+    return el => checks.every(check => check(el));
+}
+
+// Selectors are lists of compounds joined by spaces (descendants), separated by commas.
+function matchesSelector(el, selector) {
+    return selector.split(',').some(alternative => {
+        const compounds = alternative.trim().split(/\s+/).map(compileCompound);
+        if (!compounds[compounds.length - 1](el)) {
+            return false;
+        }
+        let ancestor = el.parentNode;
+        for (let i = compounds.length - 2; i >= 0; i--) {
+            while (ancestor instanceof Element && !compounds[i](ancestor)) {
+                ancestor = ancestor.parentNode;
+            }
+            if (!(ancestor instanceof Element)) {
+                return false;
+            }
+            ancestor = ancestor.parentNode;
+        }
+        return true;
+    });
+}
+
+function escapeHtml(text, inAttribute) {
+    const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return inAttribute ? escaped.replace(/"/g, '&quot;') : escaped;
+}
+
+class Element extends Node {
+    constructor(ownerDocument, localName, namespaceURI) {
+        super(ownerDocument);
+        this.localName = localName;
+        this.namespaceURI = namespaceURI;
+        this.attributes = new Map();
+        this.style = {};
+        this.scrollTop = 0;
+        this.scrollLeft = 0;
+
+        const element = this;
+        this.classList = {
+            get values() {
+                return (element.getAttribute('class') || '').split(/\s+/).filter(name => name !== '');
+            },
+            contains(name) {
+                return this.values.includes(name);
+            },
+            add(...names) {
+                element.setAttribute('class', [...new Set([...this.values, ...names])].join(' '));
+            },
+            remove(...names) {
+                element.setAttribute('class', this.values.filter(value => !names.includes(value)).join(' '));
+            },
+            toggle(name, force = !this.contains(name)) {
+                if (force) {
+                    this.add(name);
+                } else {
+                    this.remove(name);
+                }
+                return force;
+            },
+        };
+
+        // `data-*` attributes, by their camel-cased names.
+        const attributeOf = (key) => `data-${String(key).replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)}`;
+        this.dataset = new Proxy({}, {
+            get: (_target, key) => typeof key === 'string' && element.hasAttribute(attributeOf(key))
+                ? element.getAttribute(attributeOf(key))
+                : undefined,
+            set: (_target, key, value) => {
+                element.setAttribute(attributeOf(key), value);
+                return true;
+            },
+            deleteProperty: (_target, key) => {
+                element.removeAttribute(attributeOf(key));
+                return true;
+            },
+        });
+    }
+
+    get tagName() {
+        return this.namespaceURI === null ? this.localName.toUpperCase() : this.localName;
+    }
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name, String(value));
+    }
+
+    removeAttribute(name) {
+        this.attributes.delete(name);
+    }
+
+    hasAttribute(name) {
+        return this.attributes.has(name);
+    }
+
+    toggleAttribute(name, force = !this.hasAttribute(name)) {
+        if (force) {
+            this.setAttribute(name, '');
+        } else {
+            this.removeAttribute(name);
+        }
+        return force;
+    }
+
+    get tabIndex() {
+        const value = this.getAttribute('tabindex');
+        return value === null ? -1 : Number(value);
+    }
+
+    set tabIndex(value) {
+        this.setAttribute('tabindex', value);
+    }
+
+    get innerHTML() {
+        return this.childNodes.map(node => node instanceof Element ? node.outerHTML : escapeHtml(node.textContent, false)).join('');
+    }
+
+    set innerHTML(html) {
+        if (html !== '') {
+            throw new Error(`the DOM shim can only clear innerHTML`);
+        }
+        this.replaceChildren();
+    }
+
+    get outerHTML() {
+        const attributes = [...this.attributes].map(([name, value]) => ` ${name}="${escapeHtml(value, true)}"`).join('');
+        const open = `<${this.localName}${attributes}>`;
+        return voidElements.has(this.localName) ? open : `${open}${this.innerHTML}</${this.localName}>`;
+    }
+
+    matches(selector) {
+        return matchesSelector(this, selector);
+    }
+
+    closest(selector) {
+        for (let el = this; el instanceof Element; el = el.parentNode) {
+            if (el.matches(selector)) {
+                return el;
+            }
+        }
+        return null;
+    }
+
+    querySelectorAll(selector) {
+        const found = [];
+        const visit = (node) => {
+            for (let child of node.children) {
+                if (child.matches(selector)) {
+                    found.push(child);
+                }
+                visit(child);
+            }
+        };
+        visit(this);
+        return found;
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    getElementsByTagName(name) {
+        return this.querySelectorAll(name);
+    }
+
+    // No layout, so nothing has a size.
+    get clientHeight() {
+        return 0;
+    }
+
+    get offsetHeight() {
+        return 0;
+    }
+
+    get scrollHeight() {
+        return 0;
+    }
+
+    getBoundingClientRect() {
+        return { top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0 };
+    }
+
+    scrollIntoView() { }
+
+    focus() {
+        const document = this.ownerDocument;
+        if (document.activeElement === this) {
+            return;
+        }
+        const previous = document.activeElement;
+        document.activeElement = this;
+        if (previous) {
+            previous.dispatchEvent(new Event('blur'));
+        }
+        this.dispatchEvent(new Event('focus'));
+        this.dispatchEvent(new Event('focusin', { bubbles: true }));
+    }
+
+    blur() {
+        if (this.ownerDocument.activeElement === this) {
+            this.ownerDocument.activeElement = this.ownerDocument.body;
+            this.dispatchEvent(new Event('blur'));
+        }
+    }
+
+    click() {
+        if (!this.disabled) {
+            this.dispatchEvent(new Event('click', { bubbles: true, cancelable: true }));
+        }
+    }
+}
+
+for (let [property, attribute] of Object.entries(reflectedAttributes)) {
+    Object.defineProperty(Element.prototype, property, {
+        get() {
+            return this.getAttribute(attribute) || '';
+        },
+        set(value) {
+            this.setAttribute(attribute, value);
+        },
+    });
+}
+for (let [property, attribute] of Object.entries(booleanAttributes)) {
+    Object.defineProperty(Element.prototype, property, {
+        get() {
+            return this.hasAttribute(attribute);
+        },
+        set(value) {
+            this.toggleAttribute(attribute, !!value);
+        },
+    });
+}
+
+/// Inputs and textareas: a value that's separate from any attribute, and a selection in it.
+class TextControl extends Element {
+    constructor(...args) {
+        super(...args);
+        this.currentValue = '';
+        this.selectionStart = 0;
+        this.selectionEnd = 0;
+        this.checked = false;
+        this.files = [];
+    }
+
+    get value() {
+        return this.currentValue;
+    }
+
+    set value(value) {
+        this.currentValue = String(value);
+        this.selectionStart = this.selectionEnd = this.currentValue.length;
+    }
+
+    select() {
+        this.setSelectionRange(0, this.currentValue.length);
+    }
+
+    setSelectionRange(start, end) {
+        this.selectionStart = Math.min(start, this.currentValue.length);
+        this.selectionEnd = Math.min(Math.max(start, end), this.currentValue.length);
+    }
+
+    setRangeText(replacement, start = this.selectionStart, end = this.selectionEnd, selectMode = 'preserve') {
+        const value = this.currentValue;
+        this.currentValue = value.slice(0, start) + replacement + value.slice(end);
+        if (selectMode === 'select') {
+            this.setSelectionRange(start, start + replacement.length);
+        } else if (selectMode === 'end') {
+            this.setSelectionRange(start + replacement.length, start + replacement.length);
+        } else if (selectMode === 'start') {
+            this.setSelectionRange(start, start);
+        }
+    }
+}
+
+class OptionElement extends Element {
+    get value() {
+        return this.hasAttribute('value') ? this.getAttribute('value') : this.textContent;
+    }
+
+    set value(value) {
+        this.setAttribute('value', value);
+    }
+
+    get text() {
+        return this.textContent;
+    }
+
+    set text(text) {
+        this.textContent = text;
+    }
+}
+
+class SelectElement extends Element {
+    constructor(...args) {
+        super(...args);
+        this.selectedIndex = -1;
+    }
+
+    get options() {
+        return this.querySelectorAll('option');
+    }
+
+    add(option) {
+        this.append(option);
+        if (this.selectedIndex === -1) {
+            this.selectedIndex = 0;
+        }
+    }
+
+    replaceChildren(...nodes) {
+        super.replaceChildren(...nodes);
+        this.selectedIndex = this.options.length > 0 ? 0 : -1;
+    }
+
+    get value() {
+        const option = this.options[this.selectedIndex];
+        return option ? option.value : '';
+    }
+
+    set value(value) {
+        this.selectedIndex = this.options.findIndex(option => option.value === String(value));
+    }
+}
+
+const elementClasses = { input: TextControl, textarea: TextControl, option: OptionElement, select: SelectElement };
+
+class Document extends Node {
+    constructor() {
+        super(null);
+        this.ownerDocument = this;
+        this.defaultView = null;
+        this.documentElement = this.createElement('html');
+        this.head = this.createElement('head');
+        this.body = this.createElement('body');
+        this.documentElement.append(this.head, this.body);
+        this.append(this.documentElement);
+        this.activeElement = this.body;
+    }
+
+    createElement(name) {
+        const ElementClass = elementClasses[name.toLowerCase()] || Element;
+        return new ElementClass(this, name.toLowerCase(), null);
+    }
+
+    createElementNS(namespaceURI, name) {
+        return new Element(this, name, namespaceURI);
+    }
+
+    createTextNode(text) {
+        return new Text(this, text);
+    }
+
+    getElementById(id) {
+        return this.documentElement.querySelector(`#${id}`);
+    }
+
+    querySelector(selector) {
+        return this.documentElement.matches(selector) ? this.documentElement : this.documentElement.querySelector(selector);
+    }
+
+    querySelectorAll(selector) {
+        return this.documentElement.querySelectorAll(selector);
+    }
+}
+
+class Storage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+/// A window for `url`, to be used as the global object of a `vm` context. Frames and hash changes
+/// are queued rather than run: `runFrame(window)` runs the frame callbacks queued so far, and hash
+/// changes fire on the next turn of Node's event loop, as they would in a browser.
+function createWindow({ url = 'http://localhost/' } = {}) {
+    const window = new EventTarget();
+    const document = new Document();
+    document.defaultView = window;
+
+    const href = new URL(url);
+    const location = {
+        get href() {
+            return href.href;
+        },
+        get hash() {
+            return href.hash;
+        },
+        set hash(hash) {
+            const before = href.hash;
+            href.hash = hash;
+            if (href.hash !== before) {
+                setTimeout(() => window.dispatchEvent(new Event('hashchange')));
+            }
+        },
+        get hostname() {
+            return href.hostname;
+        },
+        get pathname() {
+            return href.pathname;
+        },
+        get search() {
+            return href.search;
+        },
+        get origin() {
+            return href.origin;
+        },
+    };
+
+    let frameTime = 0;
+    let nextFrameId = 1;
+    const frameCallbacks = new Map();
+
+    Object.assign(window, {
+        document,
+        location,
+        localStorage: new Storage(),
+        navigator: {},
+        innerHeight: 0,
+        innerWidth: 0,
+        Event,
+        KeyboardEvent: Event,
+        FocusEvent: Event,
+        MouseEvent: Event,
+        requestAnimationFrame(callback) {
+            frameCallbacks.set(nextFrameId, callback);
+            return nextFrameId++;
+        },
+        cancelAnimationFrame(id) {
+            frameCallbacks.delete(id);
+        },
+        // Runs every callback queued before it was called, all with the same timestamp, which
+        // moves on by a 60th of a second each time unless one is given.
+        runFrame(timestamp = frameTime + 1000 / 60) {
+            frameTime = timestamp;
+            const callbacks = [...frameCallbacks.values()];
+            frameCallbacks.clear();
+            for (let callback of callbacks) {
+                callback(timestamp);
+            }
+            return callbacks.length;
+        },
+        alert() { },
+        confirm: () => true,
+        prompt: () => null,
+        performance: { now: () => frameTime },
+        // What the scripts need from Node's own globals.
+        console,
+        setTimeout,
+        clearTimeout,
+        queueMicrotask,
+        URL,
+        URLSearchParams,
+        TextEncoder,
+        TextDecoder,
+        Blob,
+        atob,
+        btoa,
+        CompressionStream: globalThis.CompressionStream,
+        DecompressionStream: globalThis.DecompressionStream,
+    });
+    window.window = window;
+    window.self = window;
+    return window;
+}
+
+module.exports = { createWindow, Event };
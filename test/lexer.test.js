@@ -0,0 +1,65 @@
+/// The lexer core on its own, in Node: maximal munch, and recovering from text no rule matches.
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTokenRule, lex, initialLexState, nextLexDecision, predicateLookahead } = require('../lexer.js');
+
+function rule(name, matcherSource, matcherType = 'regex') {
+    return createTokenRule({ name, matcherType, matcherSource, examples: [] });
+}
+
+function lexed(source, rules, options) {
+    const { tokens, errors, stuckAt } = lex(source, rules, options);
+    return { tokens: tokens.map(token => `${token.rule} ${token.text}`), errors: errors.map(error => error.text), stuckAt };
+}
+
+test('the longest match wins, and the first rule breaks ties', () => {
+    const rules = [rule('keyword', 'if'), rule('identifier', '[a-z]+'), rule('space', ' +')];
+    assert.deepEqual(lexed('if iffy', rules).tokens, ['keyword if', 'space  ', 'identifier iffy']);
+});
+
+test('a token can be lexed even when its shorter prefixes match nothing', () => {
+    const string = [rule('string', '"[^"]*"')];
+    assert.deepEqual(lexed('"hi"', string), { tokens: ['string "hi"'], errors: [], stuckAt: null });
+
+    const number = [rule('number', '[0-9]+(\\.[0-9]+)?'), rule('dot', '\\.')];
+    assert.deepEqual(lexed('3.14', number).tokens, ['number 3.14']);
+    // Nothing longer matches after all, so the lexer backs up to the longest match.
+    assert.deepEqual(lexed('3.x', [...number, rule('x', 'x')]).tokens, ['number 3', 'dot .', 'x x']);
+});
+
+test('predicates are looked ahead with too', () => {
+    const rules = [rule('arrow', 'chars => chars === "<=>"', 'predicate'), rule('less', '<')];
+    assert.deepEqual(lexed('<=><', rules).tokens, ['arrow <=>', 'less <']);
+});
+
+test('predicates are only looked ahead with so far', () => {
+    const arrowOf = (length) => `<${'='.repeat(length - 2)}>`;
+    const lexedArrow = (arrow) => lexed(arrow, [rule('arrow', `chars => chars === ${JSON.stringify(arrow)}`, 'predicate')], { recovery: 'error-token' });
+
+    // From the one-character candidate '<', the lookahead reaches this far and no further.
+    const longest = arrowOf(predicateLookahead + 1);
+    assert.deepEqual(lexedArrow(longest).tokens, [`arrow ${longest}`]);
+    assert.equal(lexedArrow(arrowOf(predicateLookahead + 2)).tokens[0], 'ERROR <');
+});
+
+test('rules that do not compile are never looked ahead with', () => {
+    const rules = [rule('broken', ''), rule('letter', '[a-z]')];
+    assert.equal(rules[0].matcherError, 'matcher is empty');
+    assert.deepEqual(nextLexDecision('ab', rules, initialLexState()), { type: 'extend', candidate: 'a', rules: ['letter'] });
+    assert.deepEqual(lexed('ab', rules).tokens, ['letter a', 'letter b']);
+});
+
+test('the candidate grows through prefixes that match nothing, without a match to fall back on', () => {
+    const rules = [rule('string', '"[^"]*"')];
+    const decision = nextLexDecision('"a"', rules, initialLexState());
+    assert.deepEqual(decision, { type: 'extend', candidate: '"', rules: [] });
+});
+
+test('an unfinished token is recovered from where it started', () => {
+    const rules = [rule('string', '"[^"]*"'), rule('word', '[a-z]+')];
+    assert.deepEqual(lexed('"open', rules), { tokens: [], errors: [], stuckAt: 0 });
+    assert.deepEqual(lexed('"open', rules, { recovery: 'skip-char' }), { tokens: ['word open'], errors: ['"'], stuckAt: null });
+});
@@ -0,0 +1,41 @@
+/// The LL(1) parser on its own, in Node.
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGrammar, initialParseState, parseStep } = require('../parser.js');
+
+function token(rule, text, start) {
+    return { rule, text, start, end: start + text.length };
+}
+
+const tokens = [token('num', '1', 0), token('literal', '+', 1), token('num', '2', 2)];
+
+// Steps the parse until it's done, failing the test if it takes more than `maxSteps`.
+function parsed(grammarSource, maxSteps = 1000) {
+    const grammar = createGrammar(grammarSource);
+    let parse = initialParseState();
+    for (let steps = 0; !parse.done; steps++) {
+        assert.ok(steps < maxSteps, `the parse was still going after ${maxSteps} steps`);
+        parse = parseStep(grammar, tokens, parse);
+    }
+    return parse;
+}
+
+test('a right-recursive grammar parses the whole input', () => {
+    const parse = parsed('E -> num T\nT -> "+" num T | ε');
+    assert.equal(parse.error, null);
+    assert.equal(parse.position, tokens.length);
+});
+
+test('a left-recursive grammar fails instead of expanding forever', () => {
+    const parse = parsed('E -> E "+" num | num');
+    assert.match(parse.error, /^E is left-recursive/);
+    assert.equal(parse.position, 0);
+});
+
+test('so does one that only recurses through other nonterminals', () => {
+    const parse = parsed('E -> T "+" num | num\nT -> E');
+    assert.match(parse.error, /^E is left-recursive/);
+});
@@ -0,0 +1,81 @@
+/// Share links: opening one restores the session it was made from, and nothing in it runs before
+/// the user agrees to replace their rules.
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { loadApp } = require('./app.js');
+
+// The hash of a link to `share`, encoded the way `encodeShareHash` does it.
+function shareHash(share) {
+    const encoded = zlib.deflateRawSync(JSON.stringify(share)).toString('base64url');
+    return `#${new URLSearchParams({ page: 'lexing', share: encoded })}`;
+}
+
+function share(tokenRules) {
+    return {
+        version: 1,
+        name: 'shared',
+        source: 'ab',
+        tokenRules,
+        recoveryStrategy: 'skip-char',
+        currentCharIndex: 1,
+        lexSteps: 1,
+    };
+}
+
+// Opening the link is asynchronous; this waits for it, and for the frames it asks for.
+async function opened(app) {
+    for (let i = 0; i < 20; i++) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    app.settle();
+}
+
+const predicateRules = [
+    { name: 'letter', matcherType: 'predicate', matcherSource: '(globalThis.ran = true, chars => chars.length === 1)', examples: [] },
+];
+
+test('a link asks before running the predicates in it, and runs nothing if turned down', async () => {
+    const app = loadApp({ hash: shareHash(share(predicateRules)) });
+    const questions = [];
+    app.window.confirm = (question) => {
+        questions.push(question);
+        return false;
+    };
+    await opened(app);
+
+    assert.equal(questions.length, 1);
+    assert.match(questions[0], /JavaScript that will run in this page/);
+    assert.equal(app.window.ran, undefined);
+    assert.ok(!('shared' in app.state.data.codeExamples));
+    assert.deepEqual(app.warnings, []);
+});
+
+test('once the user agrees, the shared session is restored', async () => {
+    const app = loadApp({ hash: shareHash(share(predicateRules)) });
+    await opened(app);
+
+    assert.equal(app.window.ran, true);
+    assert.equal(app.state.data.selectedCodeExample, 'shared');
+    assert.equal(app.state.data.currentSource, 'ab');
+    assert.equal(app.state.data.currentCharIndex, 1);
+    assert.deepEqual(Array.from(app.state.data.tokenRules, rule => rule.name), ['letter']);
+});
+
+test('a malformed link is ignored with a warning, without compiling anything', async () => {
+    const broken = { ...share(predicateRules), currentCharIndex: -1 };
+    const app = loadApp({ hash: shareHash(broken) });
+    let asked = false;
+    app.window.confirm = () => {
+        asked = true;
+        return true;
+    };
+    await opened(app);
+
+    assert.equal(asked, false);
+    assert.equal(app.window.ran, undefined);
+    assert.deepEqual(app.warnings, [`ignoring the share link: 'currentCharIndex' must be a whole number`]);
+});
@@ -0,0 +1,57 @@
+/// Token specs round trip: rules imported from flex and moo specs lex a sample as the spec would,
+/// and so does the module they export.
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { deserializeTokenRules, lex } = require('../lexer.js');
+const { importTokenSpec, exportLexerModule } = require('../specs.js');
+
+const flexSpec = `
+DIGIT [0-9]
+%%
+{DIGIT}+        return NUMBER;
+\\"[^"]*\\"       return STRING;
+"+"             return '+';
+[ \\t\\n]+        ;
+%%
+`;
+
+const mooSpec = `{
+    number: /[0-9]+(?:\\.[0-9]+)?/,
+    string: /"[^"]*"/,
+    plus: '+',
+    space: /[ \\t]+/,
+}`;
+
+function lexedWith(spec, source) {
+    const { tokenRules, warnings } = importTokenSpec(spec);
+    assert.deepEqual(warnings, []);
+    const { tokens, stuckAt } = lex(source, deserializeTokenRules(tokenRules));
+    return { tokens: tokens.map(token => `${token.rule} ${token.text}`), stuckAt };
+}
+
+test('rules imported from a flex spec lex a sample', () => {
+    assert.deepEqual(lexedWith(flexSpec, '12 "ab" + 3'), {
+        tokens: ['NUMBER 12', 'skip  ', 'STRING "ab"', 'skip  ', 'literal +', 'skip  ', 'NUMBER 3'],
+        stuckAt: null,
+    });
+});
+
+test('rules imported from a moo spec lex a sample', () => {
+    assert.deepEqual(lexedWith(mooSpec, '3.14 + "pi"'), {
+        tokens: ['number 3.14', 'space  ', 'plus +', 'space  ', 'string "pi"'],
+        stuckAt: null,
+    });
+});
+
+test('the exported module lexes the same as the rules it came from', async () => {
+    const rules = deserializeTokenRules(importTokenSpec(flexSpec).tokenRules);
+    const source = exportLexerModule(rules);
+    const { tokenize } = await import(`data:text/javascript,${encodeURIComponent(source)}`);
+
+    const sample = '12 "ab" + 3 "unfinished';
+    const options = { recovery: 'error-token' };
+    assert.deepEqual(JSON.parse(JSON.stringify(tokenize(sample, options))), lex(sample, rules, options));
+});
@@ -0,0 +1,270 @@
+/// The state store: subscriptions, access checks, batching updates into frames, computed fields,
+/// and dev mode's frozen data. Each test starts the whole app, then subscribes components of its
+/// own to the running store.
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./app.js');
+
+function startedApp(options) {
+    const app = loadApp(options);
+    app.settle();
+    return app;
+}
+
+// A component that records what it saw on every update.
+function recorder(read = data => data.currentCharIndex) {
+    return {
+        seen: [],
+        mountAndUpdate({ data }) {
+            this.seen.push(read(data));
+        },
+    };
+}
+
+test('a component subscribed while the app runs is mounted and drawn straight away', () => {
+    const app = startedApp();
+    const component = recorder();
+    app.state.subscribe(component, ['currentCharIndex'], { name: 'Recorder' });
+    assert.deepEqual(component.seen, [0]);
+});
+
+test('updates wait for the next frame, and several setData calls make one update', () => {
+    const app = startedApp();
+    const component = recorder();
+    app.state.subscribe(component, ['currentCharIndex'], { name: 'Recorder' });
+
+    app.state.setData({ currentCharIndex: 1 });
+    app.state.setData({ currentCharIndex: 2 });
+    app.state.setData({ currentCharIndex: 3 });
+    assert.deepEqual(component.seen, [0]);
+
+    app.frame();
+    assert.deepEqual(component.seen, [0, 3]);
+});
+
+test('only components subscribed to a changed field are updated', () => {
+    const app = startedApp();
+    const subscribed = recorder();
+    const other = recorder(data => data.playSpeed);
+    app.state.subscribe(subscribed, ['currentCharIndex'], { name: 'Subscribed' });
+    app.state.subscribe(other, ['playSpeed'], { name: 'Other' });
+
+    app.state.setData({ currentCharIndex: 5 });
+    app.settle();
+    assert.deepEqual(subscribed.seen, [0, 5]);
+    assert.deepEqual(other.seen, [8]);
+});
+
+test('accesses can be read, but changing them does not update the component', () => {
+    const app = startedApp();
+    const component = recorder(data => [data.currentCharIndex, data.playSpeed]);
+    app.state.subscribe(component, ['currentCharIndex'], { name: 'Recorder', accesses: ['playSpeed'] });
+
+    app.state.setData({ playSpeed: 20 });
+    app.settle();
+    assert.equal(component.seen.length, 1);
+
+    app.state.setData({ currentCharIndex: 1 });
+    app.settle();
+    assert.deepEqual([...component.seen[1]], [1, 20]);
+});
+
+test('reading a field that was not subscribed to throws', () => {
+    const app = startedApp();
+    const component = { mount() { } };
+    app.state.subscribe(component, ['currentCharIndex'], { name: 'Reader' });
+    assert.throws(() => component.data.playSpeed, /not subscribed to the field 'playSpeed/);
+});
+
+test('writing to component data throws', () => {
+    const app = startedApp();
+    const component = { mount() { } };
+    app.state.subscribe(component, ['currentCharIndex'], { name: 'Writer' });
+    assert.throws(() => {
+        component.data.currentCharIndex = 4;
+    }, /use setData/);
+});
+
+test('a component whose update throws gets an error box, and the others carry on', () => {
+    const app = startedApp();
+    const broken = {
+        mountNode: app.document.createElement('div'),
+        mount() {
+            app.document.getElementById('app').append(this.mountNode);
+        },
+        update({ data }) {
+            if (data.currentCharIndex > 0) {
+                return data.playSpeed;
+            }
+        },
+    };
+    const healthy = recorder();
+    app.state.subscribe(broken, ['currentCharIndex'], { name: 'Broken' });
+    app.state.subscribe(healthy, ['currentCharIndex'], { name: 'Healthy' });
+
+    app.state.setData({ currentCharIndex: 1 });
+    app.settle();
+    const box = app.document.querySelector('.component-error');
+    assert.match(box.textContent, /^Broken failed in update: .*not subscribed to the field 'playSpeed/);
+    assert.equal(box.parentNode.childNodes.indexOf(box) + 1, box.parentNode.childNodes.indexOf(broken.mountNode));
+    assert.deepEqual(healthy.seen, [0, 1]);
+    assert.equal(app.errors.length, 1);
+
+    // It goes away once the component works again.
+    app.state.setData({ currentCharIndex: 0 });
+    app.settle();
+    assert.equal(app.document.querySelector('.component-error'), null);
+});
+
+test('setData during an update shows up in the next frame, and the pass reads a snapshot', () => {
+    const app = startedApp();
+    const follower = recorder(data => data.tokenStart);
+    const leader = {
+        mountAndUpdate({ data }) {
+            if (data.currentCharIndex === 2) {
+                app.state.setData({ tokenStart: 2 });
+            }
+        },
+    };
+    // Subscribed after the leader, so it's updated later in the same pass.
+    app.state.subscribe(leader, ['currentCharIndex'], { name: 'Leader' });
+    app.state.subscribe(follower, ['currentCharIndex', 'tokenStart'], { name: 'Follower' });
+
+    app.state.setData({ currentCharIndex: 2 });
+    app.frame();
+    assert.deepEqual(follower.seen, [0, 0]);
+    assert.equal(app.state.data.tokenStart, 2);
+
+    app.frame();
+    assert.deepEqual(follower.seen, [0, 0, 2]);
+});
+
+test('frames stop once nothing changes, and start again on setData', () => {
+    const app = startedApp();
+    assert.equal(app.frame(), 0);
+    app.state.setData({ playSpeed: 3 });
+    assert.equal(app.frame(), 1);
+    assert.equal(app.frame(), 0);
+});
+
+test('a frame listener keeps frames coming for as long as it returns true', () => {
+    const app = startedApp();
+    const timestamps = [];
+    const remove = app.state.onFrame(timestamp => {
+        timestamps.push(timestamp);
+        return timestamps.length < 3;
+    });
+    app.state.setData({ playSpeed: 3 });
+    app.frame(100);
+    app.frame(200);
+    app.frame(300);
+    assert.equal(app.frame(400), 0);
+    assert.deepEqual(timestamps, [100, 200, 300]);
+    remove();
+});
+
+test('playing takes one frame callback per frame, however long it plays', () => {
+    const app = startedApp({ hash: '#page=lexing' });
+    app.state.setData({ playing: true, playSpeed: 60 });
+    const callbacks = [];
+    for (let i = 1; i <= 30; i++) {
+        callbacks.push(app.frame(i * 1000 / 60));
+    }
+    assert.ok(app.state.data.currentCharIndex > 0);
+    assert.deepEqual(callbacks, new Array(30).fill(1));
+});
+
+test('computed fields follow their dependencies, and cannot be set', () => {
+    const app = startedApp();
+    const component = recorder(data => data.currentSource);
+    app.state.subscribe(component, ['currentSource'], { name: 'Recorder' });
+
+    const { codeExamples, selectedCodeExample } = app.state.data;
+    app.state.setData({ codeExamples: { ...codeExamples, [selectedCodeExample]: 'x = 1' } });
+    app.settle();
+    assert.equal(component.seen[component.seen.length - 1], 'x = 1');
+    assert.throws(() => app.state.setData({ currentSource: 'y' }), /computed/);
+});
+
+test('a nested path subscription only updates when that key changes', () => {
+    const app = startedApp();
+    const component = recorder(data => data.codeExamples.default);
+    app.state.subscribe(component, ['codeExamples.default'], { name: 'Recorder' });
+
+    // Built in the app, as only its own objects count as plain objects there.
+    app.evaluate("state.setData({ codeExamples: { ...state.data.codeExamples, other: 'new example' } })");
+    app.settle();
+    assert.equal(component.seen.length, 1);
+
+    app.evaluate("state.setData({ codeExamples: { ...state.data.codeExamples, default: 'changed' } })");
+    app.settle();
+    assert.deepEqual(component.seen.slice(1), ['changed']);
+});
+
+test('in dev mode data is frozen, so mutating it in an update is reported', () => {
+    const app = startedApp();
+    assert.equal(app.state.devMode, true);
+    assert.ok(Object.isFrozen(app.state.data.tokens));
+
+    const mutator = {
+        update({ data }) {
+            data.breakpoints.push(1);
+        },
+    };
+    app.state.subscribe(mutator, ['breakpoints'], { name: 'Mutator' });
+    app.state.setData({ breakpoints: [4] });
+    app.settle();
+    assert.match(app.document.querySelector('.component-error').textContent, /^Mutator failed in update: .*not extensible/);
+});
+
+test('away from localhost there is no dev mode, and so no frozen data and no devtools', () => {
+    const app = startedApp({ host: 'example.com' });
+    assert.equal(app.state.devMode, false);
+    assert.ok(!Object.isFrozen(app.state.data.tokens));
+    assert.equal(app.document.querySelector('.devtools'), null);
+    assert.equal(startedApp().document.querySelectorAll('.devtools').length, 1);
+});
+
+test('unsubscribing calls unmount, removes the component and stops its updates', () => {
+    const app = startedApp();
+    const component = recorder();
+    let unmounted = false;
+    Object.assign(component, {
+        mountNode: app.document.createElement('div'),
+        mount() {
+            app.document.getElementById('app').append(this.mountNode);
+        },
+        unmount() {
+            unmounted = true;
+        },
+    });
+    app.state.subscribe(component, ['currentCharIndex'], { name: 'Recorder' });
+    assert.ok(component.mountNode.isConnected);
+
+    app.state.unsubscribe(component);
+    assert.ok(unmounted);
+    assert.ok(!component.mountNode.isConnected);
+    app.state.setData({ currentCharIndex: 1 });
+    app.settle();
+    assert.deepEqual(component.seen, [0]);
+});
+
+test('components on hidden pages catch up when their page is shown', () => {
+    const app = startedApp();
+    const component = recorder();
+    app.state.subscribe(component, ['currentCharIndex'], { name: 'Recorder', pages: ['parsing'] });
+    assert.deepEqual(component.seen, [0]);
+
+    app.state.setData({ currentCharIndex: 2 });
+    app.settle();
+    app.state.setData({ currentCharIndex: 3 });
+    app.settle();
+    assert.deepEqual(component.seen, [0]);
+
+    app.state.setData({ currentPage: 'parsing' });
+    app.settle();
+    assert.deepEqual(component.seen, [0, 3]);
+});